@@ -5,9 +5,22 @@
  */
 
 // Import and re-export all framework components
-import { State, globalStorage } from "./State.js";
-import { updateDom } from "./VDom.js";
-import { addRoute, executeRoute } from "./Routing.js";
+import { State, createStore, getStore, setStateMode } from "./State.js";
+import { findElement, focusElement, updateDom } from "./VDom.js";
+import { persistState } from "./Persistence.js";
+import { syncState } from "./Sync.js";
+import {
+  cancelJob,
+  flushSync,
+  nextTick,
+  queueJob,
+  setSchedulingStrategy,
+} from "./Scheduler.js";
+import {
+  Router,
+  back,
+  forward,
+} from "./Routing.js";
 
 /** @constant {string} Framework version */
 const VERSION = "0.0.1";
@@ -20,8 +33,21 @@ class App {
   /**
    * Creates a new App instance
    * @param {string} [rootSelector='#app'] - CSS selector for the root element
+   * @param {Object} [options={}] - Application options
+   * @param {boolean} [options.delegateEvents=false] - Use one listener per event type on the root instead of per element
+   * @param {boolean} [options.hydrate=false] - Adopt server-rendered markup under the root on the
+   * first render instead of replacing it
+   * @param {Object} [options.router] - Router options
+   * @param {string} [options.router.mode="hash"] - "hash" or "history" (clean paths via pushState)
+   * @param {string} [options.router.base=""] - Base path when the app is not served from "/"
+   * @param {string} [options.scheduling="microtask"] - When batched renders run: "microtask",
+   * "animationFrame" or "sync" (render on every setState); shared by all apps on the page
+   * @param {State|string} [options.store] - Store to use, or the name of a store from createStore;
+   * by default every app gets its own store
+   * @param {string} [options.mode] - "development" freezes state to catch mutations, "production"
+   * skips the cost; shared by all apps on the page, see setStateMode
    */
-  constructor(rootSelector = "#app") {
+  constructor(rootSelector = "#app", options = {}) {
     /** @type {Element|null} Root DOM element */
     this.rootElement = null;
     /** @type {string} CSS selector for root element */
@@ -30,6 +56,29 @@ class App {
     this.renderFunction = null;
     /** @type {boolean} Initialization state flag */
     this.isInitialized = false;
+    /** @type {Object} Application options */
+    this.options = {
+      delegateEvents: false,
+      hydrate: false,
+      scheduling: "microtask",
+      ...options,
+      router: { mode: "hash", base: "", ...options.router },
+    };
+    /** @type {Function} Render job queued on the scheduler; stable so it is batched */
+    this.renderJob = () => this.render();
+    if (options.mode !== undefined) {
+      setStateMode(options.mode);
+    }
+    /** @type {State} Store holding this app's state */
+    this.store = resolveStore(options.store);
+    /** @type {Function|null} Removes the store subscription that triggers renders */
+    this.unsubscribeRender = null;
+    /** @type {Object|null} Persistence controller, set up by persist() */
+    this.persistence = null;
+    /** @type {Object|null} Cross-tab sync controller, set up by syncTabs() */
+    this.tabSync = null;
+    /** @type {Router} Router holding this app's routes, separate from other apps on the page */
+    this.router = new Router();
   }
 
   /**
@@ -43,22 +92,97 @@ class App {
       throw new Error("Render function must be a function");
     }
     this.renderFunction = renderFn;
-    // Set up automatic re-rendering
-    globalStorage.setUpdateCallback(() => this.render());
+    // Set up automatic re-rendering, batched by the scheduler
+    if (!this.unsubscribeRender) {
+      this.unsubscribeRender = this.store.subscribe(() => this.scheduleRender());
+    }
     return this;
   }
 
   /**
    * Adds a route to the application router
-   * @param {string} path - Route path pattern
-   * @param {Function} handler - Route handler function
+   * @param {string} path - Route path pattern, e.g. "/todo/:id"
+   * @param {Function} handler - Route handler function, called with `{ params, query, path, signal }`
+   * @param {Object} [options={}] - Route guards, see addRoute in Routing.js
+   * @param {Function} [options.beforeEnter] - Guard that may cancel (false) or redirect (URL) entering
+   * @param {Function} [options.beforeLeave] - Guard that may cancel (false) or redirect (URL) leaving
+   * @returns {App} Returns this App instance for method chaining
+   * @throws {Error} Throws if the path is not a string, the handler is not a function,
+   * or the app already has a route for the path
+   */
+  addRoute(path, handler, options = {}) {
+    if (!this.router.addRoute(path, handler, options)) {
+      throw new Error(`Error: route "${path}" is invalid or already defined`);
+    }
+    return this;
+  }
+
+  /**
+   * Sets the not-found handler used when no route or redirect matches
+   * @param {Function} handler - Function called with `{ params, query, path }` for the unmatched path
    * @returns {App} Returns this App instance for method chaining
    */
-  addRoute(path, handler) {
-    addRoute(path, handler);
+  addDefaultRoute(handler) {
+    this.router.addDefaultRoute(handler);
     return this;
   }
 
+  /**
+   * Adds redirects that are checked before the not-found handler
+   * @param {string|Object<string, string>} from - URL pattern to redirect from, or a table of from → to
+   * @param {string} [to] - Target URL when from is a single pattern
+   * @returns {App} Returns this App instance for method chaining
+   * @example
+   * app.addRedirect("/all", "/");
+   * app.addRedirect({ "/users/:id": "/user/:id", "/home": "/" });
+   */
+  addRedirect(from, to) {
+    const table = typeof from === "string" ? { [from]: to } : from;
+    for (const [source, target] of Object.entries(table)) {
+      this.router.addRedirect(source, target);
+    }
+    return this;
+  }
+
+  /**
+   * Navigates to a route
+   * @param {string} path - Route URL, e.g. "/todo/3"
+   * @param {Object} [options={}] - Navigation options
+   * @param {boolean} [options.replace=false] - Replace the current history entry instead of pushing one
+   * @param {*} [options.state=null] - State object stored with the history entry
+   * @returns {Promise<boolean>} Resolves to true once the route was entered
+   */
+  navigate(path, options = {}) {
+    return this.router.navigate(path, options);
+  }
+
+  /**
+   * Goes back one entry in the browser history
+   * @returns {App} Returns this App instance for method chaining
+   */
+  back() {
+    back();
+    return this;
+  }
+
+  /**
+   * Goes forward one entry in the browser history
+   * @returns {App} Returns this App instance for method chaining
+   */
+  forward() {
+    forward();
+    return this;
+  }
+
+  /**
+   * The route the app is currently showing, kept in state as `currentRoute`
+   * so render functions re-run when it changes
+   * @type {{path: string, params: Object, query: Object, pattern: string|null, state: *}|null}
+   */
+  get currentRoute() {
+    return this.getState().currentRoute || null;
+  }
+
   /**
    * Initializes the application by setting up DOM, routes, and event listeners
    * @returns {App} Returns this App instance for method chaining
@@ -78,22 +202,141 @@ class App {
       );
     }
 
-    // Set up hash change listener
-    window.addEventListener("hashchange", () => {
-      executeRoute(window.location.hash);
+    setSchedulingStrategy(this.options.scheduling);
+
+    // Set up hash change or history listeners
+    this.router.configure(this.options.router);
+    this.router.listen(this.rootElement);
+
+    // Expose the route and async navigations to render functions
+    this.router.onRouteChange((route) => {
+      this.setState({ currentRoute: route });
+    });
+    this.router.onNavigationChange(({ pending }) => {
+      this.setState({ routePending: pending });
     });
 
-    // Execute initial route
-    executeRoute(window.location.hash || "#/");
+    // Execute initial route without adding a history entry
+    this.router.executeRoute(this.router.getCurrentUrl(), { replace: true });
 
     this.isInitialized = true;
     console.log(`App initialized (v${VERSION})`);
 
-    // Initial render
-    this.render();
+    // Initial render, once persisted state has been restored
+    if (this.isHydrating()) {
+      this.renderWhenHydrated();
+    } else {
+      this.render();
+    }
     return this;
   }
 
+  /**
+   * Saves a whitelist of state keys and restores them before the first render
+   * @param {Object} options - Persistence options, see persistState in Persistence.js
+   * @param {Array<string>} options.keys - State keys to save
+   * @param {Object} [options.adapter] - Storage adapter, localStorage by default
+   * @param {string} [options.key] - Record key in the adapter
+   * @param {number} [options.version=1] - Current schema version
+   * @param {Object<number, Function>} [options.migrations={}] - Upgrades for older saved data
+   * @param {number} [options.debounce=200] - Milliseconds to wait before writing
+   * @returns {App} Returns this App instance for method chaining
+   * @example
+   * app.persist({ keys: ["todos", "nextId"], adapter: createMemoryAdapter() });
+   */
+  persist(options) {
+    if (this.persistence) {
+      this.persistence.stop();
+    }
+    this.persistence = persistState(this.store, options);
+    // Restored state is set silently, so an app that already rendered must render again
+    if (this.isInitialized && this.persistence.isHydrated) {
+      this.scheduleRender();
+    } else if (this.isInitialized) {
+      this.renderWhenHydrated();
+    }
+    return this;
+  }
+
+  /**
+   * Renders once the persistence controller has restored state, even if restoring failed
+   * @private
+   */
+  renderWhenHydrated() {
+    const persistence = this.persistence;
+    persistence.ready
+      .catch((error) => {
+        console.warn("Could not restore persisted state", error);
+        // Without this, scheduleRender would drop every later render
+        persistence.isHydrated = true;
+      })
+      .then(() => {
+        // A later persist() renders for its own controller
+        if (this.persistence === persistence) {
+          this.render();
+        }
+      });
+  }
+
+  /**
+   * Shares changes of a whitelist of state keys with other tabs running the app
+   * @param {Object} options - Sync options, see syncState in Sync.js
+   * @param {Array<string>} options.keys - State keys to share
+   * @param {string} [options.channel] - Channel name; tabs only sync within a channel
+   * @param {string|Function} [options.policy="last-write-wins"] - Conflict policy for incoming changes
+   * @param {string} [options.transport="auto"] - "broadcast", "storage" or "auto"
+   * @returns {App} Returns this App instance for method chaining
+   */
+  syncTabs(options) {
+    if (this.tabSync) {
+      this.tabSync.stop();
+    }
+    this.tabSync = syncState(this.store, options);
+    return this;
+  }
+
+  /**
+   * Queues a render; all state changes until the scheduler flushes share one render
+   * @returns {App} Returns this App instance for method chaining
+   */
+  scheduleRender() {
+    if (this.rootElement && !this.isHydrating()) {
+      queueJob(this.renderJob);
+    }
+    return this;
+  }
+
+  /**
+   * Checks whether persisted state is still being restored
+   * @returns {boolean} True while an asynchronous adapter is loading
+   */
+  isHydrating() {
+    return Boolean(this.persistence && !this.persistence.isHydrated);
+  }
+
+  /**
+   * Runs a function and renders its state changes synchronously
+   * @param {Function} [fn] - Function whose updates should reach the DOM immediately
+   * @returns {*} Return value of fn
+   * @example
+   * app.flushSync(() => app.setState({ editingId: 3 }));
+   * focusElement(".edit");
+   */
+  flushSync(fn) {
+    return flushSync(fn);
+  }
+
+  /**
+   * Returns a promise that resolves once pending state changes are rendered
+   * @returns {Promise<void>} Resolves after the DOM is patched
+   * @example
+   * app.setState({ filter: "active" });
+   * await app.nextTick();
+   */
+  nextTick() {
+    return nextTick();
+  }
+
   /**
    * Renders the application by executing the render function and updating the DOM
    * @throws {Error} Throws if no render function is set or app is not initialized
@@ -105,17 +348,148 @@ class App {
     if (!this.rootElement) {
       throw new Error("App not initialized. Call init() first.");
     }
+    // A direct render satisfies any render already queued
+    cancelJob(this.renderJob);
 
     const vdom = this.renderFunction();
-    updateDom(this.rootElement, Array.isArray(vdom) ? vdom : [vdom]);
+    updateDom(this.rootElement, Array.isArray(vdom) ? vdom : [vdom], {
+      delegateEvents: this.options.delegateEvents,
+      // Only the first render adopts existing markup; later ones patch as usual
+      hydrate: this.options.hydrate,
+    });
+  }
+
+  /**
+   * Finds an element inside the app root
+   * @param {string} selector - CSS selector string
+   * @returns {Element|null} Found element or null if not found
+   */
+  findElement(selector) {
+    return findElement(selector, this.rootElement);
+  }
+
+  /**
+   * Focuses an element inside the app root
+   * @param {string|Element} selector - CSS selector for the element to focus, or the element itself
+   * @param {string} [cursorPosition='default'] - Cursor position: 'default', 'end', or 'select'
+   * @returns {boolean} True if element was found and focused, false otherwise
+   */
+  focusElement(selector, cursorPosition = "default") {
+    return focusElement(selector, cursorPosition, this.rootElement);
   }
 
   /**
    * Gets the current application state
-   * @returns {Object} Current state object from global storage
+   * @returns {Object} Current state object from the app store
    */
   getState() {
-    return globalStorage.getState();
+    return this.store.getState();
+  }
+
+  /**
+   * Declares a value derived from state, readable through getState()
+   * @param {string} name - Name under which the value is read
+   * @param {Array<string>} deps - State keys or computed names the value depends on
+   * @param {Function} compute - Called with the dependency values, in order
+   * @returns {App} Returns this App instance for method chaining
+   */
+  defineComputed(name, deps, compute) {
+    this.store.defineComputed(name, deps, compute);
+    return this;
+  }
+
+  /**
+   * Sets the schema that state updates are validated against
+   * @param {Object<string, Object>} schema - Field schemas by state key, see State#setSchema
+   * @returns {App} Returns this App instance for method chaining
+   */
+  setSchema(schema) {
+    this.store.setSchema(schema);
+    return this;
+  }
+
+  /**
+   * Registers the reducer for an action type
+   * @param {string} type - Action type, e.g. "todos/add"
+   * @param {Function} reducer - Called with (state, action); returns the state values to merge
+   * @returns {App} Returns this App instance for method chaining
+   */
+  addReducer(type, reducer) {
+    this.store.addReducer(type, reducer);
+    return this;
+  }
+
+  /**
+   * Adds a middleware to the dispatch pipeline
+   * @param {Function} middleware - Called as middleware({ dispatch, getState })(next)(action)
+   * @returns {App} Returns this App instance for method chaining
+   */
+  use(middleware) {
+    this.store.use(middleware);
+    return this;
+  }
+
+  /**
+   * Dispatches an action to the registered reducers
+   * @param {Object|Function} action - Action with a string `type`
+   * @returns {*} Whatever the middleware chain returns; the action itself by default
+   */
+  dispatch(action) {
+    return this.store.dispatch(action);
+  }
+
+  /**
+   * Starts keeping undo/redo history of the application state
+   * @param {Object} [options={}] - History options, see State#enableHistory
+   * @param {number} [options.limit=50] - Maximum number of undo steps kept
+   * @param {Array<string>} [options.include] - Only these keys are tracked
+   * @param {Array<string>} [options.exclude=[]] - Keys never tracked
+   * @returns {App} Returns this App instance for method chaining
+   */
+  enableHistory(options = {}) {
+    this.store.enableHistory(options);
+    return this;
+  }
+
+  /**
+   * Reverts the last recorded state change
+   * @returns {boolean} True if a change was undone
+   */
+  undo() {
+    return this.store.undo();
+  }
+
+  /**
+   * Re-applies the last undone state change
+   * @returns {boolean} True if a change was redone
+   */
+  redo() {
+    return this.store.redo();
+  }
+
+  /**
+   * Checks whether there is a state change to undo
+   * @returns {boolean} True if undo() would revert something
+   */
+  canUndo() {
+    return this.store.canUndo();
+  }
+
+  /**
+   * Checks whether there is an undone state change to redo
+   * @returns {boolean} True if redo() would re-apply something
+   */
+  canRedo() {
+    return this.store.canRedo();
+  }
+
+  /**
+   * Groups every state change made by a function into a single undo step
+   * @param {Function} fn - Function making the changes; may return a promise
+   * @returns {*} Return value of fn
+   */
+  transaction(fn) {
+    return this.store.transaction(fn);
   }
 
   /**
@@ -125,21 +499,42 @@ class App {
    * @returns {Object} Updated state object
    */
   setState(newState, triggerUpdate = true) {
-    return globalStorage.setState(newState, triggerUpdate);
+    return this.store.setState(newState, triggerUpdate);
+  }
+}
+
+/**
+ * Resolves the store option of an app
+ * @param {State|string|undefined} store - Store, store name, or undefined for a new store
+ * @returns {State} Store the app should use
+ * @throws {Error} Throws if the option is neither a State nor a string
+ * @private
+ */
+function resolveStore(store) {
+  if (store === undefined) {
+    return new State();
+  }
+  if (store instanceof State) {
+    return store;
+  }
+  if (typeof store === "string") {
+    return getStore(store) || createStore(store);
   }
+  throw new Error("Error: store must be a State or a store name");
 }
 
 /**
  * Factory function for creating new App instances
  * @param {string} [rootSelector='#app'] - CSS selector for the root element
+ * @param {Object} [options={}] - Application options, see {@link App}
  * @returns {App} New App instance
  * @example
- * const app = createApp('#my-app');
+ * const app = createApp('#my-app', { router: { mode: 'history', base: '/my-app' } });
  * app.setRenderFunction(() => ({ tag: 'div', text: 'Hello World' }));
  * app.init();
  */
-export function createApp(rootSelector = "#app") {
-  return new App(rootSelector);
+export function createApp(rootSelector = "#app", options = {}) {
+  return new App(rootSelector, options);
 }
 
 export { App };
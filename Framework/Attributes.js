@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Property-aware attribute handling for the mini-framework
+ * @version 0.0.1
+ * @author The Last of the Mohicans 2
+ */
+
+/**
+ * Boolean attributes and the DOM properties they are set through
+ * @type {Object<string, string>}
+ */
+const BOOLEAN_PROPERTIES = {
+  allowfullscreen: "allowFullscreen",
+  async: "async",
+  autofocus: "autofocus",
+  autoplay: "autoplay",
+  checked: "checked",
+  controls: "controls",
+  default: "default",
+  defer: "defer",
+  disabled: "disabled",
+  formnovalidate: "formNoValidate",
+  hidden: "hidden",
+  inert: "inert",
+  ismap: "isMap",
+  itemscope: "itemScope",
+  loop: "loop",
+  multiple: "multiple",
+  muted: "muted",
+  nomodule: "noModule",
+  novalidate: "noValidate",
+  open: "open",
+  playsinline: "playsInline",
+  readonly: "readOnly",
+  required: "required",
+  reversed: "reversed",
+  selected: "selected",
+};
+
+/**
+ * Namespaces of prefixed attributes such as xlink:href, by prefix
+ * @type {Object<string, string>}
+ */
+const ATTRIBUTE_NAMESPACES = {
+  xlink: "http://www.w3.org/1999/xlink",
+  xml: "http://www.w3.org/XML/1998/namespace",
+  xmlns: "http://www.w3.org/2000/xmlns/",
+};
+
+/**
+ * Attributes whose DOM property the user can change, so they are re-synced on every render
+ * @type {Set<string>}
+ */
+export const LIVE_PROPERTIES = new Set(["value", "checked", "selected", "indeterminate"]);
+
+/**
+ * Attributes applied once the children exist, since a select can only take a value its options offer
+ * @type {Set<string>}
+ */
+export const LATE_PROPERTIES = new Set(["value", "selected"]);
+
+/**
+ * Checks whether an attribute is a boolean attribute: present means true
+ * @param {string} name - Attribute name
+ * @returns {boolean} True for attributes such as checked, disabled or selected
+ */
+export function isBooleanAttribute(name) {
+  return name in BOOLEAN_PROPERTIES;
+}
+
+/**
+ * Reads a boolean attribute value; like in HTML, an empty string means present
+ * @private
+ */
+function isOn(value) {
+  return value === "" || Boolean(value);
+}
+
+/**
+ * Turns camelCase into kebab-case, e.g. for dataset keys and style properties
+ * @private
+ */
+function toKebabCase(name) {
+  return name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+}
+
+/**
+ * Builds a class string from a string, an array or an object of class → condition
+ * @param {string|Array|Object|null} value - Class value
+ * @returns {string} Space-separated class names
+ * @example
+ * normalizeClass(["todo", { completed: todo.completed, editing: false }]); // "todo completed"
+ */
+export function normalizeClass(value) {
+  if (typeof value === "string") {
+    return value.trim();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeClass).filter(Boolean).join(" ");
+  }
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .filter((name) => value[name])
+      .join(" ");
+  }
+  return "";
+}
+
+/**
+ * Builds a style attribute from an object of CSS properties
+ * @param {string|Object|null} value - Style string, or an object such as { fontSize: "12px", "--gap": "4px" }
+ * @returns {string} Style attribute value; null, undefined and false entries are left out
+ */
+export function styleToString(value) {
+  if (!value || typeof value !== "object") {
+    return typeof value === "string" ? value : "";
+  }
+  return Object.entries(value)
+    .filter(([, propValue]) => propValue !== null && propValue !== undefined && propValue !== false)
+    .map(([name, propValue]) => `${name.startsWith("--") ? name : toKebabCase(name)}: ${propValue}`)
+    .join("; ");
+}
+
+/**
+ * Expands `dataset` and `aria` maps into their attribute names
+ * @private
+ */
+function expandMap(name, map) {
+  const prefix = name === "dataset" ? "data-" : "aria-";
+  return Object.entries(map || {}).map(([key, value]) => [prefix + toKebabCase(key), value]);
+}
+
+/**
+ * Converts a virtual attribute to the HTML attributes it produces
+ * @param {string} name - Virtual attribute name; event handlers and reserved names must be filtered out first
+ * @param {*} value - Virtual attribute value
+ * @returns {Array<Array<string>>} [name, value] pairs; empty if nothing is written
+ * @example
+ * htmlAttributes("class", { completed: true }); // [["class", "completed"]]
+ * htmlAttributes("dataset", { todoId: 3 });    // [["data-todo-id", "3"]]
+ * htmlAttributes("spellcheck", false);         // [["spellcheck", "false"]]
+ */
+export function htmlAttributes(name, value) {
+  if (name === "dataset" || name === "aria") {
+    return expandMap(name, value).flatMap(([attrName, attrValue]) =>
+      htmlAttributes(attrName, attrValue)
+    );
+  }
+  if (name === "class") {
+    const className = normalizeClass(value);
+    return className ? [["class", className]] : [];
+  }
+  if (name === "style") {
+    const style = styleToString(value);
+    return style ? [["style", style]] : [];
+  }
+  if (name === "indeterminate" || value === null || value === undefined) {
+    return [];
+  }
+  if (isBooleanAttribute(name)) {
+    return isOn(value) ? [[name, ""]] : [];
+  }
+  // Enumerated attributes such as spellcheck, draggable and contenteditable
+  // spell out "true" and "false"; leaving them out would mean the browser default
+  return [[name, String(value)]];
+}
+
+/**
+ * Writes a string-valued attribute, or removes it
+ * @private
+ */
+function writeAttribute(element, name, value) {
+  const pairs = htmlAttributes(name, value);
+  const separator = name.indexOf(":");
+  const namespace = separator > 0 ? ATTRIBUTE_NAMESPACES[name.slice(0, separator)] : undefined;
+  if (namespace) {
+    // e.g. xlink:href on SVG <use>
+    if (pairs.length > 0) {
+      element.setAttributeNS(namespace, name, pairs[0][1]);
+    } else {
+      element.removeAttributeNS(namespace, name.slice(separator + 1));
+    }
+  } else if (pairs.length > 0) {
+    element.setAttribute(name, pairs[0][1]);
+  } else {
+    element.removeAttribute(name);
+  }
+}
+
+/**
+ * Applies an inline style string or object, removing properties that are gone
+ * @private
+ */
+function applyStyle(element, value, oldValue) {
+  if (!value || typeof value !== "object") {
+    writeAttribute(element, "style", value);
+    return;
+  }
+  if (!oldValue || typeof oldValue !== "object") {
+    element.removeAttribute("style");
+    oldValue = {};
+  }
+  for (const name of Object.keys(oldValue)) {
+    if (!(name in value)) {
+      element.style.removeProperty(name.startsWith("--") ? name : toKebabCase(name));
+    }
+  }
+  for (const [name, propValue] of Object.entries(value)) {
+    const cssName = name.startsWith("--") ? name : toKebabCase(name);
+    if (propValue === null || propValue === undefined || propValue === false) {
+      element.style.removeProperty(cssName);
+    } else {
+      element.style.setProperty(cssName, String(propValue));
+    }
+  }
+}
+
+/**
+ * Applies a `dataset` or `aria` map, removing entries that are gone
+ * @private
+ */
+function applyMap(element, name, value, oldValue) {
+  const next = new Map(expandMap(name, value));
+  for (const [attrName] of expandMap(name, oldValue)) {
+    if (!next.has(attrName)) {
+      element.removeAttribute(attrName);
+    }
+  }
+  for (const [attrName, attrValue] of next) {
+    writeAttribute(element, attrName, attrValue);
+  }
+}
+
+/**
+ * Applies a virtual attribute to a DOM element through properties where that matters
+ * @param {Element} element - Element to update
+ * @param {string} name - Attribute name; not an event handler or reserved name
+ * @param {*} value - New value; null or undefined removes the attribute
+ * @param {*} [oldValue] - Value applied by the previous render, if any
+ * @description `value`, `checked`, `selected`, `disabled` and other boolean
+ * attributes are set as DOM properties, so they reflect the current state and
+ * not just the default, and are mirrored to the attribute for CSS and
+ * server-rendered markup. `class` accepts arrays and objects, `style` an object
+ * of CSS properties, and `dataset` and `aria` maps of data-* and aria-* values.
+ * Prefixed attributes such as `xlink:href` and `xml:lang` are set in their namespace.
+ */
+export function setDomAttribute(element, name, value, oldValue) {
+  if (name === "class") {
+    writeAttribute(element, "class", value);
+  } else if (name === "style") {
+    applyStyle(element, value, oldValue);
+  } else if (name === "dataset" || name === "aria") {
+    applyMap(element, name, value, oldValue);
+  } else if (name === "value") {
+    const text = value === null || value === undefined ? "" : String(value);
+    // Only assign when different, so the caret of a focused input does not jump
+    if ("value" in element && element.value !== text) {
+      element.value = text;
+    }
+    // A select's value only picks an option; the attribute would mean nothing
+    if (element.localName !== "select") {
+      writeAttribute(element, name, value);
+    }
+  } else if (name === "indeterminate") {
+    element.indeterminate = Boolean(value);
+  } else if (isBooleanAttribute(name)) {
+    const property = BOOLEAN_PROPERTIES[name];
+    if (property in element) {
+      element[property] = isOn(value);
+    }
+    writeAttribute(element, name, value);
+  } else {
+    writeAttribute(element, name, value);
+  }
+}
+
+/**
+ * Removes a virtual attribute that is no longer present from a DOM element
+ * @param {Element} element - Element to update
+ * @param {string} name - Attribute name
+ * @param {*} oldValue - Value applied by the previous render
+ */
+export function removeDomAttribute(element, name, oldValue) {
+  setDomAttribute(element, name, undefined, oldValue);
+}
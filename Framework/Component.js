@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Component primitive for the mini-framework
+ * @version 0.0.1
+ * @author The Last of the Mohicans 2
+ */
+
+import { flushLifecycle, getDomNode, patchElement } from "./VDom.js";
+import { cancelJob, queueJob } from "./Scheduler.js";
+
+/** @type {symbol} Marks objects created by defineComponent */
+const COMPONENT = Symbol("component");
+
+/**
+ * Defines a component that can be used as the tag of a virtual element
+ * @param {Object|Function} definition - Component definition, or a render function
+ * @param {string} [definition.name] - Name used in error messages
+ * @param {Function} [definition.state] - Returns the initial local state, called with the first props
+ * @param {Function} definition.render - Returns a virtual element, called with (props, component)
+ * @param {Function} [definition.onMount] - Called with the component once its element is in the document
+ * @param {Function} [definition.onUpdate] - Called with the component after each re-render is patched
+ * @param {Function} [definition.onUnmount] - Called with the component before its element is removed
+ * @returns {Object} Frozen component definition
+ * @throws {Error} Throws if no render function is given
+ * @example
+ * const Counter = defineComponent({
+ *   name: "Counter",
+ *   state: (props) => ({ count: props.start || 0 }),
+ *   render: (props, component) =>
+ *     createVirtualElement("button", {
+ *       onclick: () => component.setState({ count: component.state.count + 1 }),
+ *     }, `${props.label}: ${component.state.count}`, []),
+ * });
+ * createVirtualElement(Counter, { key: "likes", label: "Likes" }, "", []);
+ */
+export function defineComponent(definition) {
+  const options =
+    typeof definition === "function"
+      ? { name: definition.name, render: definition }
+      : definition;
+  if (!options || typeof options.render !== "function") {
+    throw new Error("Error: component render is not a function");
+  }
+  return Object.freeze({
+    ...options,
+    name: options.name || "Anonymous",
+    [COMPONENT]: true,
+  });
+}
+
+/**
+ * Checks whether a value is a component definition
+ * @param {*} value - Value to check, usually a virtual element tag
+ * @returns {boolean} True if the value was created by defineComponent
+ */
+export function isComponent(value) {
+  return Boolean(value && value[COMPONENT]);
+}
+
+/**
+ * A mounted component: owns local state and the virtual element it last rendered
+ * @class Component
+ */
+export class Component {
+  /**
+   * Creates a component instance for a component virtual element
+   * @param {Object} definition - Component definition from defineComponent
+   * @param {Object} props - Props from the virtual element attributes
+   * @param {Array<Object>} children - Child virtual elements passed to the component
+   * @param {Object} context - Render context the component was mounted with
+   */
+  constructor(definition, props, children, context) {
+    /** @type {Object} Component definition */
+    this.definition = definition;
+    /** @type {Object} Current props */
+    this.props = props;
+    /** @type {Array<Object>} Current child virtual elements */
+    this.children = children;
+    /** @type {Object} Render context shared with the surrounding tree */
+    this.context = context;
+    /** @type {Object} Local state */
+    this.state =
+      typeof definition.state === "function" ? { ...definition.state(props) } : {};
+    /** @type {Object|null} Virtual element produced by the last render */
+    this.rendered = null;
+    /** @type {boolean} Whether the component is currently in the DOM */
+    this.isMounted = false;
+    /** @type {Function} Scoped re-render job queued on the scheduler */
+    this.updateJob = () => this.update();
+  }
+
+  /**
+   * The DOM node of the component output
+   * @type {Node|null}
+   */
+  get element() {
+    return this.rendered ? getDomNode(this.rendered) : null;
+  }
+
+  /**
+   * Runs the component render function
+   * @returns {Object} Virtual element describing the component output
+   * @throws {Error} Throws if render does not return a virtual element
+   */
+  render() {
+    const output = this.definition.render(this.props, this);
+    if (typeof output !== "object" || output === null) {
+      throw new Error(
+        `Error: component ${this.definition.name} did not return a virtual element`
+      );
+    }
+    return output;
+  }
+
+  /**
+   * Merges new local state and queues a re-render of only this component
+   * @param {Object} newVal - Object containing new state values to merge
+   * @returns {boolean} True if state was updated successfully, false if newVal is invalid
+   */
+  setState(newVal) {
+    if (typeof newVal !== "object" || newVal === null) {
+      return false;
+    }
+    this.state = { ...this.state, ...newVal };
+    queueJob(this.updateJob);
+    return true;
+  }
+
+  /**
+   * Re-renders this component and patches its output in place
+   * @description Unmounted components are skipped.
+   */
+  update() {
+    cancelJob(this.updateJob);
+    if (this.isMounted) {
+      const context = { ...this.context, queue: [] };
+      const next = this.render();
+      patchElement(this.rendered, next, context);
+      this.rendered = next;
+      if (typeof this.definition.onUpdate === "function") {
+        context.queue.push(() => this.definition.onUpdate(this));
+      }
+      flushLifecycle(context);
+    }
+  }
+}
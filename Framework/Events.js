@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Event binding and delegation for the mini-framework
+ * @version 0.0.1
+ * @author The Last of the Mohicans 2
+ */
+
+/**
+ * Events that do not bubble and therefore must be delegated in the capture phase
+ * @type {Set<string>}
+ */
+const NON_BUBBLING_EVENTS = new Set([
+  "blur",
+  "focus",
+  "load",
+  "error",
+  "scroll",
+  "mouseenter",
+  "mouseleave",
+  "pointerenter",
+  "pointerleave",
+]);
+
+/** @type {WeakMap<Element, Map<string, Object>>} Handlers bound to each element, by attribute name */
+const boundHandlers = new WeakMap();
+
+/** @type {WeakMap<Element, Map<string, Function>>} Delegating listeners installed on each root */
+const rootListeners = new WeakMap();
+
+/**
+ * Checks whether an attribute describes an event handler
+ * @param {string} attrName - Attribute name, e.g. "onclick"
+ * @param {*} attrValue - Handler function or handler descriptor object
+ * @returns {boolean} True if the attribute should be bound as an event
+ */
+export function isEventAttribute(attrName, attrValue) {
+  if (!attrName.startsWith("on")) return false;
+  return (
+    typeof attrValue === "function" ||
+    (typeof attrValue === "object" &&
+      attrValue !== null &&
+      typeof attrValue.handler === "function")
+  );
+}
+
+/**
+ * Normalizes an event attribute into a handler descriptor
+ * @param {string} attrName - Attribute name, e.g. "onclick"
+ * @param {Function|Object} attrValue - Handler function or { handler, capture, once, passive }
+ * @returns {{type: string, handler: Function, capture: boolean, once: boolean, passive: boolean}} Descriptor
+ * @private
+ */
+function toDescriptor(attrName, attrValue) {
+  const options = typeof attrValue === "function" ? {} : attrValue;
+  return {
+    type: attrName.substring(2).toLowerCase(),
+    handler: typeof attrValue === "function" ? attrValue : attrValue.handler,
+    capture: Boolean(options.capture),
+    once: Boolean(options.once),
+    passive: Boolean(options.passive),
+  };
+}
+
+/**
+ * Checks whether two descriptors can share the same native listener
+ * @private
+ */
+function sameListenerOptions(a, b) {
+  return (
+    a.type === b.type &&
+    a.capture === b.capture &&
+    a.once === b.once &&
+    a.passive === b.passive
+  );
+}
+
+/**
+ * Binds or swaps the handler for an event attribute on an element
+ * @param {Element} element - Element the handler belongs to
+ * @param {string} attrName - Attribute name, e.g. "onclick"
+ * @param {Function|Object} attrValue - Handler function or { handler, capture, once, passive }
+ * @param {Element|null} [delegateRoot=null] - Root to delegate to, or null to listen on the element
+ * @description Re-binding the same attribute only swaps the stored handler, so
+ * fresh closures created on every render never churn native listeners.
+ * @example
+ * bindEvent(button, "onclick", () => save());
+ * bindEvent(list, "onscroll", { handler: onScroll, passive: true });
+ */
+export function bindEvent(element, attrName, attrValue, delegateRoot = null) {
+  const descriptor = toDescriptor(attrName, attrValue);
+  let handlers = boundHandlers.get(element);
+  if (!handlers) {
+    handlers = new Map();
+    boundHandlers.set(element, handlers);
+  }
+
+  const existing = handlers.get(attrName);
+  if (
+    existing &&
+    existing.delegateRoot === delegateRoot &&
+    sameListenerOptions(existing, descriptor)
+  ) {
+    existing.handler = descriptor.handler;
+    return;
+  }
+  if (existing) {
+    unbindEvent(element, attrName);
+  }
+
+  const record = { ...descriptor, delegateRoot, listener: null };
+  handlers.set(attrName, record);
+
+  if (delegateRoot) {
+    ensureRootListener(delegateRoot, record);
+    return;
+  }
+  record.listener = (event) => {
+    if (record.once) {
+      unbindEvent(element, attrName);
+    }
+    return record.handler.call(element, event);
+  };
+  element.addEventListener(record.type, record.listener, {
+    capture: record.capture,
+    passive: record.passive,
+  });
+}
+
+/**
+ * Removes the handler bound for an event attribute on an element
+ * @param {Element} element - Element the handler belongs to
+ * @param {string} attrName - Attribute name, e.g. "onclick"
+ */
+export function unbindEvent(element, attrName) {
+  const handlers = boundHandlers.get(element);
+  const record = handlers && handlers.get(attrName);
+  if (!record) return;
+  handlers.delete(attrName);
+  if (record.listener) {
+    element.removeEventListener(record.type, record.listener, {
+      capture: record.capture,
+    });
+  }
+}
+
+/**
+ * Returns the handlers currently bound to an element
+ * @param {Element} element - Element to inspect
+ * @returns {Object<string, Function>} Map of attribute names to handler functions
+ */
+export function getBoundEvents(element) {
+  const handlers = boundHandlers.get(element);
+  const result = {};
+  if (handlers) {
+    for (const [attrName, record] of handlers) {
+      result[attrName] = record.handler;
+    }
+  }
+  return result;
+}
+
+/**
+ * Installs the shared root listener needed to dispatch a delegated handler
+ * @param {Element} root - Delegation root
+ * @param {Object} record - Handler record being bound
+ * @private
+ */
+function ensureRootListener(root, record) {
+  let listeners = rootListeners.get(root);
+  if (!listeners) {
+    listeners = new Map();
+    rootListeners.set(root, listeners);
+  }
+  const phase = record.capture ? "capture" : "bubble";
+  const listenerKey = `${record.type}:${phase}:${record.passive}`;
+  if (listeners.has(listenerKey)) return;
+
+  const listener = (event) =>
+    dispatchDelegated(root, event, record.capture, record.passive);
+  listeners.set(listenerKey, listener);
+  root.addEventListener(record.type, listener, {
+    // Non-bubbling events only reach the root during capture
+    capture: record.capture || NON_BUBBLING_EVENTS.has(record.type),
+    passive: record.passive,
+  });
+}
+
+/**
+ * Removes every delegating listener installed on a root
+ * @param {Element} root - Delegation root
+ */
+export function removeDelegation(root) {
+  const listeners = rootListeners.get(root);
+  if (!listeners) return;
+  for (const [listenerKey, listener] of listeners) {
+    const [type, phase] = listenerKey.split(":");
+    root.removeEventListener(type, listener, {
+      capture: phase === "capture" || NON_BUBBLING_EVENTS.has(type),
+    });
+  }
+  rootListeners.delete(root);
+}
+
+/**
+ * Dispatches a native event received on a root to the delegated handlers on its path
+ * @param {Element} root - Delegation root that received the event
+ * @param {Event} event - Native event
+ * @param {boolean} capture - Whether this listener serves capture-phase handlers
+ * @param {boolean} passive - Whether this listener serves passive handlers
+ * @private
+ */
+function dispatchDelegated(root, event, capture, passive) {
+  const path = [];
+  for (let node = event.target; node && node !== root.parentNode; node = node.parentNode) {
+    path.push(node);
+  }
+  if (capture) {
+    path.reverse();
+  } else if (!event.bubbles) {
+    path.length = Math.min(path.length, 1);
+  }
+
+  let stopped = false;
+  const stopPropagation = event.stopPropagation;
+  const stopImmediatePropagation = event.stopImmediatePropagation;
+  event.stopPropagation = function () {
+    stopped = true;
+    return stopPropagation.call(this);
+  };
+  event.stopImmediatePropagation = function () {
+    stopped = true;
+    return stopImmediatePropagation.call(this);
+  };
+
+  try {
+    for (const node of path) {
+      const handlers = boundHandlers.get(node);
+      if (!handlers) continue;
+      for (const [attrName, record] of handlers) {
+        if (
+          record.delegateRoot !== root ||
+          record.type !== event.type ||
+          record.capture !== capture ||
+          record.passive !== passive
+        ) {
+          continue;
+        }
+        if (record.once) {
+          unbindEvent(node, attrName);
+        }
+        Object.defineProperty(event, "currentTarget", {
+          configurable: true,
+          value: node,
+        });
+        record.handler.call(node, event);
+      }
+      if (stopped) break;
+    }
+  } finally {
+    delete event.stopPropagation;
+    delete event.stopImmediatePropagation;
+    delete event.currentTarget;
+  }
+}
@@ -0,0 +1,423 @@
+/**
+ * @fileoverview Hyperscript and tagged-template front ends for virtual elements in the mini-framework
+ * @version 0.0.1
+ * @author The Last of the Mohicans 2
+ */
+
+import {
+  FRAGMENT_TAG,
+  VOID_ELEMENTS,
+  createTextElement,
+  createVirtualElement,
+} from "./VDom.js";
+import { isComponent } from "./Component.js";
+
+/**
+ * Tag for fragments, so `h` works with the JSX fragment pragma (`/** @jsxFrag Fragment *\/`)
+ * @type {string}
+ */
+export const Fragment = FRAGMENT_TAG;
+
+/** @type {Object<string, string>} JSX attribute names and the attributes they stand for */
+const ATTRIBUTE_ALIASES = { className: "class", htmlFor: "for" };
+
+/** @type {Object<string, string>} Character references decoded by html */
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+/**
+ * Checks whether a value is a virtual element
+ * @private
+ */
+function isVirtualElement(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    (typeof value.tag === "string" || isComponent(value.tag)) &&
+    Array.isArray(value.children)
+  );
+}
+
+/**
+ * Flattens nested child arrays and drops null, undefined and booleans
+ * @private
+ */
+function flattenChildren(children, result = []) {
+  for (const child of children) {
+    if (Array.isArray(child)) {
+      flattenChildren(child, result);
+    } else if (child !== null && child !== undefined && typeof child !== "boolean") {
+      result.push(child);
+    }
+  }
+  return result;
+}
+
+/**
+ * Creates a virtual element from a tag, props and any number of children
+ * @param {string|Object} tag - HTML tag name, or a component from defineComponent
+ * @param {Object|null} [props] - Attributes, event handlers and props; may be left out
+ * @param {...*} children - Virtual elements, strings, numbers, arrays of them,
+ * or null/undefined/booleans, which render nothing
+ * @returns {Object} Virtual element, see createVirtualElement
+ * @throws {Error} Throws if a child is not a virtual element or text
+ * @description Text before the first element child becomes the element's text,
+ * later text becomes text nodes between the elements. `className` and
+ * `htmlFor` are accepted for `class` and `for`, so `h` can be used as the JSX
+ * pragma (`/** @jsx h *\/`).
+ * @example
+ * h("li", { key: todo.id, class: todo.completed ? "completed" : "" },
+ *   h("label", null, todo.title),
+ *   todo.dueDate && h("time", null, todo.dueDate));
+ */
+export function h(tag, props, ...children) {
+  if (
+    typeof props !== "object" ||
+    props === null ||
+    Array.isArray(props) ||
+    isVirtualElement(props)
+  ) {
+    if (props !== null && props !== undefined) {
+      children.unshift(props);
+    }
+    props = {};
+  }
+  const attributes = {};
+  for (const [name, value] of Object.entries(props)) {
+    attributes[ATTRIBUTE_ALIASES[name] || name] = value;
+  }
+
+  let innerText = "";
+  const elements = [];
+  for (const child of flattenChildren(children)) {
+    if (isVirtualElement(child)) {
+      elements.push(child);
+    } else if (typeof child === "string" || typeof child === "number") {
+      // Components and fragments receive all their children as virtual elements
+      if (elements.length === 0 && !isComponent(tag) && tag !== FRAGMENT_TAG) {
+        innerText += child;
+      } else {
+        elements.push(createTextElement(child));
+      }
+    } else {
+      throw new Error(`Error: ${child} is not a virtual element or text`);
+    }
+  }
+  return createVirtualElement(tag, attributes, innerText, elements);
+}
+
+/**
+ * Replaces character references like &amp; with the characters they stand for
+ * @private
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+    if (name[0] === "#") {
+      const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name] !== undefined ? ENTITIES[name] : match;
+  });
+}
+
+/**
+ * Drops indentation: whitespace that contains a line break is removed at the
+ * edges of a text and collapsed to one space inside it
+ * @private
+ */
+function normalizeText(text) {
+  if (!text.includes("\n")) {
+    return text;
+  }
+  return text
+    .replace(/^\s*\n\s*|\s*\n\s*$/g, "")
+    .replace(/\s*\n\s*/g, " ");
+}
+
+/** @type {WeakMap<TemplateStringsArray, Array<Object>>} Parsed templates, by their static parts */
+const templateCache = new WeakMap();
+
+/**
+ * Parses the static parts of a template into a tree with numbered holes
+ * @param {TemplateStringsArray} statics - Static parts of the template
+ * @returns {Array<Object|string>} Top-level nodes; elements are `{ tag, props, children }`,
+ * holes are `{ hole: index }`
+ * @throws {Error} Throws on unclosed tags or comments, and on closing tags that do not
+ * match the open element
+ * @private
+ */
+function parseTemplate(statics) {
+  const root = { children: [] };
+  const stack = [root];
+  let mode = "text";
+  let buffer = "";
+  let element = null;
+  let attrName = "";
+  let attrParts = [];
+  let quote = "";
+  let selfClosing = false;
+  let closeName = "";
+  let closeHole = null;
+
+  const parent = () => stack[stack.length - 1];
+  const flushText = () => {
+    const text = normalizeText(buffer);
+    if (text) {
+      parent().children.push(decodeEntities(text));
+    }
+    buffer = "";
+  };
+  const flushValuePart = () => {
+    if (buffer) {
+      attrParts.push(decodeEntities(buffer));
+    }
+    buffer = "";
+  };
+  const commitAttribute = (parts) => {
+    element.props.push({ name: attrName, parts });
+    attrName = "";
+    attrParts = [];
+  };
+  const openElement = () => {
+    parent().children.push(element);
+    const isVoid = typeof element.tag === "string" && VOID_ELEMENTS.has(element.tag.toLowerCase());
+    if (!selfClosing && !isVoid) {
+      stack.push(element);
+    }
+    element = null;
+    selfClosing = false;
+    mode = "text";
+  };
+  const closeElement = () => {
+    const open = parent();
+    const name = closeName.trim();
+    const openName = typeof open.tag === "string" ? open.tag : null;
+    // <//> closes anything; </${Component}> is checked against the opening value when filled in
+    const matches =
+      name === "/" ||
+      (closeHole !== null ? openName === null : openName !== null && name.toLowerCase() === openName.toLowerCase());
+    if (stack.length === 1 || !matches) {
+      const closing = closeHole !== null ? "</${...}>" : `</${name}>`;
+      const opened = stack.length === 1 ? "no open element" : openName === null ? "<${...}>" : `<${openName}>`;
+      throw new Error(`Error: html template closes ${opened} with ${closing}`);
+    }
+    if (closeHole !== null) {
+      open.closeHole = closeHole;
+    }
+    stack.pop();
+    closeName = "";
+    closeHole = null;
+    mode = "text";
+  };
+
+  statics.forEach((part, index) => {
+    for (let i = 0; i < part.length; i++) {
+      const char = part[i];
+      const isSpace = /\s/.test(char);
+      switch (mode) {
+        case "text":
+          if (char === "<") {
+            flushText();
+            if (part.startsWith("!--", i + 1)) {
+              mode = "comment";
+              i += 3;
+            } else if (part[i + 1] === "/") {
+              mode = "close";
+              i += 1;
+            } else {
+              element = { tag: "", props: [], children: [] };
+              mode = "tagName";
+            }
+          } else {
+            buffer += char;
+          }
+          break;
+        case "comment":
+          if (part.startsWith("-->", i)) {
+            mode = "text";
+            i += 2;
+          }
+          break;
+        case "close":
+          if (char === ">") {
+            closeElement();
+          } else {
+            closeName += char;
+          }
+          break;
+        case "tagName":
+          if (isSpace) {
+            mode = "inTag";
+          } else if (char === ">") {
+            openElement();
+          } else if (char === "/") {
+            selfClosing = true;
+            mode = "inTag";
+          } else {
+            element.tag += char;
+          }
+          break;
+        case "inTag":
+          if (char === ">") {
+            openElement();
+          } else if (char === "/") {
+            selfClosing = true;
+          } else if (!isSpace && char !== ".") {
+            // Dots only introduce a ...${spread}
+            attrName = char;
+            mode = "attrName";
+          }
+          break;
+        case "attrName":
+          if (char === "=") {
+            mode = "valueStart";
+          } else if (isSpace) {
+            mode = "afterName";
+          } else if (char === ">" || char === "/") {
+            commitAttribute(true);
+            mode = "inTag";
+            i--;
+          } else {
+            attrName += char;
+          }
+          break;
+        case "afterName":
+          if (char === "=") {
+            mode = "valueStart";
+          } else if (!isSpace) {
+            commitAttribute(true);
+            mode = "inTag";
+            i--;
+          }
+          break;
+        case "valueStart":
+          if (char === '"' || char === "'") {
+            quote = char;
+            mode = "quotedValue";
+          } else if (!isSpace) {
+            mode = "unquotedValue";
+            i--;
+          }
+          break;
+        case "quotedValue":
+          if (char === quote) {
+            flushValuePart();
+            commitAttribute(attrParts);
+            mode = "inTag";
+          } else {
+            buffer += char;
+          }
+          break;
+        case "unquotedValue":
+          if (isSpace || char === ">" || (char === "/" && part[i + 1] === ">")) {
+            flushValuePart();
+            commitAttribute(attrParts);
+            mode = "inTag";
+            i--;
+          } else {
+            buffer += char;
+          }
+          break;
+      }
+    }
+
+    if (index === statics.length - 1) {
+      return;
+    }
+    // A ${} hole follows this static part
+    const hole = { hole: index };
+    if (mode === "text") {
+      flushText();
+      parent().children.push(hole);
+    } else if (mode === "tagName") {
+      element.tag = hole;
+    } else if (mode === "close") {
+      closeHole = index;
+    } else if (mode === "inTag") {
+      element.props.push({ spread: index });
+    } else if (mode === "attrName" || mode === "afterName") {
+      commitAttribute(true);
+      element.props.push({ spread: index });
+      mode = "inTag";
+    } else if (mode === "valueStart") {
+      attrParts.push(hole);
+      mode = "unquotedValue";
+    } else if (mode === "quotedValue" || mode === "unquotedValue") {
+      flushValuePart();
+      attrParts.push(hole);
+    }
+  });
+
+  if (mode !== "text") {
+    throw new Error("Error: html template ends inside a tag or comment");
+  }
+  if (stack.length > 1) {
+    const open = parent().tag;
+    throw new Error(`Error: html template leaves ${typeof open === "string" ? `<${open}>` : "<${...}>"} unclosed`);
+  }
+  flushText();
+  return root.children;
+}
+
+/**
+ * Turns a parsed template node into virtual elements, filling the holes with values
+ * @private
+ */
+function instantiate(node, values) {
+  if (typeof node === "string") {
+    return node;
+  }
+  if (node.hole !== undefined) {
+    return values[node.hole];
+  }
+  // <>...</> is a fragment
+  const tag = typeof node.tag === "string" ? node.tag || FRAGMENT_TAG : values[node.tag.hole];
+  if (node.closeHole !== undefined && values[node.closeHole] !== tag) {
+    throw new Error("Error: html template closes a component with a different one");
+  }
+  const props = {};
+  for (const prop of node.props) {
+    if (prop.spread !== undefined) {
+      Object.assign(props, values[prop.spread]);
+    } else if (prop.parts === true) {
+      props[prop.name] = true;
+    } else if (prop.parts.length === 1 && prop.parts[0].hole !== undefined) {
+      // A lone ${} keeps its value, so handlers and objects pass through
+      props[prop.name] = values[prop.parts[0].hole];
+    } else {
+      props[prop.name] = prop.parts
+        .map((part) => (typeof part === "string" ? part : String(values[part.hole] ?? "")))
+        .join("");
+    }
+  }
+  return h(tag, props, node.children.map((child) => instantiate(child, values)));
+}
+
+/**
+ * Tagged template that turns markup with ${} holes into virtual elements
+ * @param {TemplateStringsArray} statics - Static parts of the template
+ * @param {...*} values - Hole values: text, virtual elements, arrays, attribute
+ * values, event handlers, components as tags, or objects spread with `...${props}`
+ * @returns {Object|Array<Object>} The virtual element, or a list if the template has several roots
+ * @throws {Error} Throws if the markup ends inside a tag, leaves an element open,
+ * or closes an element with a different tag
+ * @description No build step is needed; templates are parsed once and cached.
+ * Void elements such as `<input>` need no closing tag, components are closed
+ * with `</${Component}>` or `<//>`, `<>...</>` is a fragment, and whitespace containing line breaks is
+ * treated as indentation and dropped.
+ * @example
+ * html`<li key=${todo.id} class=${todo.completed ? "completed" : ""}>
+ *   <input class="toggle" type="checkbox" checked=${todo.completed} onchange=${() => toggle(todo.id)}>
+ *   <label>${todo.title}</label>
+ * </li>`;
+ */
+export function html(statics, ...values) {
+  let template = templateCache.get(statics);
+  if (!template) {
+    template = parseTemplate(statics);
+    templateCache.set(statics, template);
+  }
+  const nodes = flattenChildren(template.map((node) => instantiate(node, values))).map(
+    (node) => (isVirtualElement(node) ? node : createTextElement(node))
+  );
+  return nodes.length === 1 ? nodes[0] : nodes;
+}
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview State persistence with pluggable storage adapters for the mini-framework
+ * @version 0.0.1
+ * @author The Last of the Mohicans 2
+ */
+
+/** @constant {number} Default delay in milliseconds before changes are written */
+const DEFAULT_DEBOUNCE = 200;
+
+/**
+ * Storage adapter interface used by persistState
+ * @typedef {Object} StorageAdapter
+ * @property {function(string): (*|Promise<*>)} load - Returns the stored record, or null
+ * @property {function(string, *): (void|Promise<void>)} save - Stores a record
+ * @property {function(string): (void|Promise<void>)} remove - Deletes a record
+ */
+
+/**
+ * Creates an adapter that keeps records in memory, for tests and headless use
+ * @param {Object<string, *>} [initialRecords={}] - Records to start with, by key
+ * @returns {StorageAdapter} Synchronous in-memory adapter
+ */
+export function createMemoryAdapter(initialRecords = {}) {
+  const records = new Map(Object.entries(initialRecords));
+  return {
+    load: (key) => (records.has(key) ? structuredClone(records.get(key)) : null),
+    save: (key, record) => {
+      records.set(key, structuredClone(record));
+    },
+    remove: (key) => {
+      records.delete(key);
+    },
+  };
+}
+
+/**
+ * Creates an adapter on top of a Web Storage object
+ * @param {Storage} storage - window.localStorage, window.sessionStorage or a compatible object
+ * @returns {StorageAdapter} Synchronous adapter storing records as JSON
+ */
+export function createWebStorageAdapter(storage) {
+  return {
+    load: (key) => {
+      const raw = storage.getItem(key);
+      if (raw === null) return null;
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        console.warn(`Ignoring unreadable persisted state under "${key}"`, error);
+        return null;
+      }
+    },
+    save: (key, record) => storage.setItem(key, JSON.stringify(record)),
+    remove: (key) => storage.removeItem(key),
+  };
+}
+
+/**
+ * Creates an adapter backed by localStorage
+ * @returns {StorageAdapter} Synchronous localStorage adapter
+ */
+export function createLocalStorageAdapter() {
+  return createWebStorageAdapter(window.localStorage);
+}
+
+/**
+ * Creates an adapter backed by sessionStorage
+ * @returns {StorageAdapter} Synchronous sessionStorage adapter
+ */
+export function createSessionStorageAdapter() {
+  return createWebStorageAdapter(window.sessionStorage);
+}
+
+/**
+ * Creates an adapter backed by an IndexedDB object store
+ * @param {Object} [options={}] - Database options
+ * @param {string} [options.dbName="mini-framework"] - Database name
+ * @param {string} [options.storeName="state"] - Object store name
+ * @returns {StorageAdapter} Asynchronous IndexedDB adapter
+ */
+export function createIndexedDBAdapter({ dbName = "mini-framework", storeName = "state" } = {}) {
+  let database = null;
+  const open = () => {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return database;
+  };
+  const run = (mode, operation) =>
+    open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })
+    );
+
+  return {
+    load: (key) => run("readonly", (store) => store.get(key)).then((record) => record ?? null),
+    save: (key, record) => run("readwrite", (store) => store.put(record, key)).then(() => {}),
+    remove: (key) => run("readwrite", (store) => store.delete(key)).then(() => {}),
+  };
+}
+
+/**
+ * Picks the given keys from an object
+ * @private
+ */
+function pick(source, keys) {
+  const result = {};
+  for (const key of keys) {
+    if (key in source) {
+      result[key] = source[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Brings a persisted record up to the current schema version
+ * @param {{version: number, data: Object}} record - Persisted record
+ * @param {number} version - Current schema version
+ * @param {Object<number, Function>} migrations - Functions upgrading data to the version they are keyed by
+ * @returns {Object|null} Migrated data, or null if the record cannot be used
+ * @private
+ */
+function migrate(record, version, migrations) {
+  const recordVersion = Number(record.version) || 0;
+  if (recordVersion > version) {
+    console.warn(
+      `Ignoring persisted state from newer schema version ${recordVersion} (current is ${version})`
+    );
+    return null;
+  }
+  let data = record.data;
+  for (let next = recordVersion + 1; next <= version; next++) {
+    if (typeof migrations[next] === "function") {
+      data = migrations[next](data);
+    }
+  }
+  return data;
+}
+
+/**
+ * Persists a whitelist of state keys and restores them
+ * @param {State} store - Store to persist
+ * @param {Object} options - Persistence options
+ * @param {Array<string>} options.keys - State keys to save; nothing else is ever written
+ * @param {StorageAdapter} [options.adapter] - Where to save, localStorage by default
+ * @param {string} [options.key="mini-framework-state"] - Record key in the adapter
+ * @param {number} [options.version=1] - Current schema version
+ * @param {Object<number, Function>} [options.migrations={}] - Functions upgrading saved data
+ * to the version they are keyed by, run in order
+ * @param {number} [options.debounce=200] - Milliseconds to wait for more changes before writing
+ * @returns {{ready: Promise<void>, isHydrated: boolean, flush: Function, stop: Function}} Controller;
+ * `isHydrated` is already true when the adapter loads synchronously
+ * @throws {Error} Throws if no keys are given
+ * @example
+ * persistState(store, {
+ *   keys: ["todos", "nextId"],
+ *   version: 2,
+ *   migrations: { 2: (data) => ({ ...data, todos: data.todos.map(addDueDate) }) },
+ * });
+ */
+export function persistState(store, options) {
+  const {
+    keys,
+    adapter = createLocalStorageAdapter(),
+    key = "mini-framework-state",
+    version = 1,
+    migrations = {},
+    debounce = DEFAULT_DEBOUNCE,
+  } = options || {};
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new Error("Error: persistState needs the list of keys to save");
+  }
+
+  let timer = null;
+  let unsubscribe = null;
+  let stopped = false;
+  const reportWriteError = (error) => {
+    console.warn(`Could not save persisted state under "${key}"`, error);
+  };
+  const write = () => {
+    clearTimeout(timer);
+    timer = null;
+    // Writes run from a timer or pagehide, so failures such as a full quota are reported, not thrown
+    try {
+      const saved = adapter.save(key, { version, data: pick(store.getState(), keys) });
+      return saved && typeof saved.then === "function" ? saved.catch(reportWriteError) : saved;
+    } catch (error) {
+      reportWriteError(error);
+    }
+  };
+  const flush = () => (timer !== null ? write() : undefined);
+
+  const controller = {
+    ready: null,
+    isHydrated: false,
+    flush,
+    stop: () => {
+      stopped = true;
+      flush();
+      if (unsubscribe) unsubscribe();
+      if (typeof window !== "undefined") window.removeEventListener("pagehide", flush);
+    },
+  };
+
+  const hydrate = (record) => {
+    controller.isHydrated = true;
+    // Stopped while an asynchronous load was pending, e.g. replaced by another persist()
+    if (stopped) return;
+    try {
+      const data = record ? migrate(record, version, migrations) : null;
+      if (data) {
+        store.setState(pick(data, keys), false);
+        // Restored state is the starting point, not something to undo
+        store.clearHistory();
+      }
+    } catch (error) {
+      // Saved data that a migration or the schema rejects must not keep the app from starting
+      console.warn(`Ignoring persisted state under "${key}"`, error);
+    }
+    unsubscribe = store.subscribe(
+      (state) => pick(state, keys),
+      () => {
+        clearTimeout(timer);
+        timer = setTimeout(write, debounce);
+      }
+    );
+    if (typeof window !== "undefined") window.addEventListener("pagehide", flush);
+  };
+
+  const loaded = adapter.load(key);
+  if (loaded && typeof loaded.then === "function") {
+    controller.ready = loaded.then(hydrate, (error) => {
+      console.warn(`Could not restore persisted state under "${key}"`, error);
+      hydrate(null);
+    });
+  } else {
+    hydrate(loaded);
+    controller.ready = Promise.resolve();
+  }
+  return controller;
+}
@@ -4,60 +4,828 @@
  * @author The Last of the Mohicans 2
  */
 
-/** @type {Map<string, Function>} Global route storage mapping URLs to handler functions */
-export let allRoutes = new Map()
-export let defaultRoute
+/** @constant {number} Maximum number of chained redirects before giving up */
+const MAX_REDIRECTS = 10;
+
+/** @type {Array<string>} Supported router modes */
+const ROUTER_MODES = ["hash", "history"];
 
 /**
- * Adds a new route to the router
- * @param {string} url - URL pattern for the route (e.g., "/", "/about", "/user/:id")
- * @param {Function} handler - Function to execute when route is matched
- * @returns {boolean} True if route was added successfully, false if invalid parameters or route already exists
- * @example
- * addRoute("/home", () => console.log("Home page"));
- * addRoute("/user/:id", (params) => console.log("User:", params.id));
+ * Segment scores used to rank routes; higher scores win when several routes match.
+ * END scores a pattern that has run out of segments, so "/" beats "/:page?" for "/".
+ * @enum {number}
+ */
+const SegmentScore = {
+  STATIC: 5,
+  PARAM: 4,
+  END: 3,
+  OPTIONAL: 2,
+  SPLAT: 1,
+};
+
+/**
+ * Splits a path into its non-empty segments
+ * @param {string} path - Path such as "/user/42/"
+ * @returns {Array<string>} Segments, e.g. ["user", "42"]
+ * @private
  */
-export function addRoute(url, handler) {
-  if (typeof url !== "string" || typeof handler !== "function") return false;
-  if (allRoutes.has(url)) return false;
-  allRoutes.set(url, handler);
-  return true;
+function splitPath(path) {
+  return path.split("/").filter(Boolean);
 }
 
-export function addDefaultRoute(handler) {
-  if (typeof handler !== "function") return false;
-  defaultRoute = handler;
-  return true;
+/**
+ * Compiles a URL pattern into a list of typed segments
+ * @param {string} url - URL pattern, e.g. "/user/:id", "/docs/:page?" or "/files/*path"
+ * @returns {Array<{type: string, value: string}>} Compiled segments
+ * @throws {Error} Throws if a splat is not the last segment
+ * @private
+ */
+function compilePattern(url) {
+  const segments = splitPath(url).map((segment) => {
+    if (segment.startsWith("*")) {
+      return { type: "SPLAT", value: segment.substring(1) || "*" };
+    }
+    if (segment.startsWith(":") && segment.endsWith("?")) {
+      return { type: "OPTIONAL", value: segment.slice(1, -1) };
+    }
+    if (segment.startsWith(":")) {
+      return { type: "PARAM", value: segment.substring(1) };
+    }
+    return { type: "STATIC", value: segment };
+  });
+  segments.forEach((segment, index) => {
+    if (segment.type === "SPLAT" && index !== segments.length - 1) {
+      throw new Error(`Error: splat must be the last segment in "${url}"`);
+    }
+  });
+  return segments;
+}
+
+/**
+ * Compares two routes by specificity
+ * @returns {number} Negative if a is more specific than b
+ * @private
+ */
+function compareRoutes(a, b) {
+  const length = Math.max(a.segments.length, b.segments.length);
+  for (let i = 0; i < length; i++) {
+    const scoreA = SegmentScore[a.segments[i] ? a.segments[i].type : "END"];
+    const scoreB = SegmentScore[b.segments[i] ? b.segments[i].type : "END"];
+    if (scoreA !== scoreB) return scoreB - scoreA;
+  }
+  return 0;
+}
+
+/**
+ * Decodes a path segment
+ * @param {string} part - Percent-encoded path segment
+ * @returns {string|null} Decoded segment, or null if its encoding is malformed
+ * @private
+ */
+function decodeSegment(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch (error) {
+    return null;
+  }
 }
 
 /**
- * Executes the handler for a specific route
- * @param {string} url - URL to route to (with or without # prefix)
- * @description If the URL is not found in routes, defaults to "/" route.
- * Updates browser history if the current hash doesn't match the target URL.
+ * Matches compiled segments against path segments
+ * @param {Array<Object>} segments - Compiled route segments
+ * @param {Array<string>} parts - Path segments
+ * @returns {Object|null} Matched params or null if the route does not match
+ * @private
+ */
+function matchSegments(segments, parts) {
+  if (segments.length === 0) {
+    return parts.length === 0 ? {} : null;
+  }
+  const [segment, ...rest] = segments;
+
+  // Malformed percent-encoding never matches, so such URLs reach the not-found handler
+  if (segment.type === "SPLAT") {
+    const values = parts.map(decodeSegment);
+    return values.includes(null) ? null : { [segment.value]: values.join("/") };
+  }
+  if (segment.type === "OPTIONAL") {
+    const value = parts.length > 0 ? decodeSegment(parts[0]) : null;
+    const withValue = value !== null ? matchSegments(rest, parts.slice(1)) : null;
+    if (withValue) {
+      return { [segment.value]: value, ...withValue };
+    }
+    return matchSegments(rest, parts);
+  }
+  if (parts.length === 0) {
+    return null;
+  }
+  if (segment.type === "STATIC" && segment.value !== parts[0]) {
+    return null;
+  }
+  const params = matchSegments(rest, parts.slice(1));
+  if (params && segment.type === "PARAM") {
+    const value = decodeSegment(parts[0]);
+    return value === null ? null : { [segment.value]: value, ...params };
+  }
+  return params;
+}
+
+/**
+ * Parses a query string into an object; repeated keys become arrays
+ * @param {string} search - Query string with or without the leading "?"
+ * @returns {Object<string, string|Array<string>>} Parsed query
  * @example
- * executeRoute("#/home"); // Executes handler for /home route
- * executeRoute("/about");  // Executes handler for /about route
+ * parseQuery("?tag=a&tag=b&page=2"); // { tag: ["a", "b"], page: "2" }
  */
-export function executeRoute(url) {
-  // Clean up the URL - remove # prefix if present
-  let cleanUrl = url.startsWith("#") ? url.substring(1) : url;
+export function parseQuery(search) {
+  const query = {};
+  for (const [key, value] of new URLSearchParams(search)) {
+    if (!(key in query)) {
+      query[key] = value;
+    } else if (Array.isArray(query[key])) {
+      query[key].push(value);
+    } else {
+      query[key] = [query[key], value];
+    }
+  }
+  return query;
+}
 
-  // If url is not bound to a handler, we route to the default one
-  if (!allRoutes.has(cleanUrl)) {
-    cleanUrl = "/";
+/**
+ * Splits a route URL into its path and query string
+ * @param {string} url - Route URL without # prefix, e.g. "/user/42?tab=posts"
+ * @returns {{path: string, search: string}} Path ("/" if empty) and query string including "?"
+ * @private
+ */
+function splitUrl(url) {
+  const queryStart = url.indexOf("?");
+  if (queryStart === -1) {
+    return { path: url || "/", search: "" };
   }
+  return {
+    path: url.substring(0, queryStart) || "/",
+    search: url.substring(queryStart),
+  };
+}
 
-  // Execute the handler
-  if (allRoutes.has(cleanUrl)) {
-    allRoutes.get(cleanUrl)();
-  } else {
-    console.log("No handler found for route:", cleanUrl);
+/**
+ * Checks whether a value is a promise-like object
+ * @private
+ */
+function isThenable(value) {
+  return value !== null && typeof value === "object" && typeof value.then === "function";
+}
+
+/**
+ * Waits for a promise, but stops waiting once the navigation is aborted
+ * @param {Promise} promise - Guard verdict or handler result
+ * @param {AbortSignal} signal - Signal of the navigation waiting on it
+ * @returns {Promise<*>} Resolves with the promise's value, or undefined once aborted
+ * @private
+ */
+function untilAborted(promise, signal) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener("abort", () => resolve(undefined), { once: true });
+    promise.then(resolve, reject);
+  });
+}
+
+/**
+ * Route table, configuration and navigation state of one app
+ * @class Router
+ * @description Every App owns a Router, so apps on the same page keep separate
+ * routes. The functions exported by this module act on a shared default router.
+ */
+export class Router {
+  /**
+   * Creates a new Router with an empty route table in hash mode
+   */
+  constructor() {
+    /** @type {Map<string, Object>} Route storage mapping URL patterns to compiled routes */
+    this.allRoutes = new Map();
+    /** @type {Array<Object>} Registered routes, most specific first */
+    this.rankedRoutes = [];
+    /** @type {Function|undefined} Not-found handler set by addDefaultRoute() */
+    this.defaultRoute = undefined;
+    /** @type {Array<Object>} Registered redirects, most specific first */
+    this.redirects = [];
+    /** @type {{mode: string, base: string}} Active router configuration */
+    this.config = { mode: "hash", base: "" };
+    /** @type {Object|null} Route target that the last completed navigation entered */
+    this.activeTarget = null;
+    /** @type {{id: number, controller: AbortController}|null} Navigation currently in progress */
+    this.currentNavigation = null;
+    /** @type {number} Counter used to tell stale navigations apart */
+    this.navigationCount = 0;
+    /** @type {boolean} Whether a navigation is waiting on async guards or handlers */
+    this.navigationPending = false;
+    /** @type {Set<Function>} Listeners notified when a navigation starts or stops being pending */
+    this.navigationListeners = new Set();
+    /** @type {Set<Function>} Listeners notified after a navigation enters a route */
+    this.routeListeners = new Set();
+    /** @type {Function|null} Removes the address bar listeners installed by listen() */
+    this.unlisten = null;
+  }
+
+  /**
+   * Adds a new route to the router
+   * @param {string} url - URL pattern for the route (e.g., "/", "/about", "/user/:id")
+   * @param {Function} handler - Function to execute when route is matched
+   * @param {Object} [options={}] - Route guards
+   * @param {Function} [options.beforeEnter] - Guard called with (to, from) before entering the route
+   * @param {Function} [options.beforeLeave] - Guard called with (to, from) before leaving the route
+   * @returns {boolean} True if route was added successfully, false if invalid parameters or route already exists
+   * @description Patterns support named params (":id"), optional params (":id?")
+   * and a trailing splat ("*" or "*name"). Handlers receive `{ params, query, path, signal }`
+   * and may return a promise; `signal` aborts when a newer navigation starts.
+   * Guards may return (or resolve to) false to cancel the navigation, or a URL
+   * to redirect to.
+   * @example
+   * router.addRoute("/home", () => console.log("Home page"));
+   * router.addRoute("/user/:id", ({ params }) => console.log("User:", params.id));
+   * router.addRoute("/files/*path", ({ params }) => console.log("File:", params.path));
+   * router.addRoute("/admin", showAdmin, { beforeEnter: () => isAdmin() || "/login" });
+   */
+  addRoute(url, handler, options = {}) {
+    if (typeof url !== "string" || typeof handler !== "function") return false;
+    if (this.allRoutes.has(url)) return false;
+    const route = {
+      pattern: url,
+      segments: compilePattern(url),
+      handler,
+      beforeEnter: options.beforeEnter || null,
+      beforeLeave: options.beforeLeave || null,
+    };
+    this.allRoutes.set(url, route);
+    this.rankedRoutes = [...this.allRoutes.values()].sort(compareRoutes);
+    return true;
+  }
+
+  /**
+   * Sets the not-found handler used when no route or redirect matches
+   * @param {Function} handler - Function called with `{ params, query, path }` for the unmatched path
+   * @returns {boolean} True if the handler was set, false if it is not a function
+   * @description The unmatched URL is kept in the address bar.
+   * @example
+   * router.addDefaultRoute(({ path }) => showNotFound(path));
+   */
+  addDefaultRoute(handler) {
+    if (typeof handler !== "function") return false;
+    this.defaultRoute = handler;
+    return true;
+  }
+
+  /**
+   * Adds a redirect that is checked when no route matches a URL
+   * @param {string} from - URL pattern to redirect from, may contain params (e.g. "/users/:id")
+   * @param {string} to - Target URL; ":name" segments are filled from the matched params
+   * @returns {boolean} True if the redirect was added, false if invalid parameters or it already exists
+   * @example
+   * router.addRedirect("/all", "/");
+   * router.addRedirect("/users/:id", "/user/:id");
+   */
+  addRedirect(from, to) {
+    if (typeof from !== "string" || typeof to !== "string") return false;
+    if (this.redirects.some((redirect) => redirect.pattern === from)) return false;
+    this.redirects = [...this.redirects, { pattern: from, segments: compilePattern(from), to }]
+      .sort(compareRoutes);
+    return true;
+  }
+
+  /**
+   * Resolves the redirect target for a path, if any
+   * @param {string} path - Unmatched path
+   * @returns {string|null} Target URL with params filled in, or null
+   * @private
+   */
+  resolveRedirect(path) {
+    const parts = splitPath(path);
+    for (const redirect of this.redirects) {
+      const params = matchSegments(redirect.segments, parts);
+      if (params) {
+        return redirect.to.replace(/:(\w+)\??/g, (segment, name) =>
+          name in params ? encodeURIComponent(params[name]) : ""
+        );
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Finds the most specific route matching a URL
+   * @param {string} url - URL to match (with or without # prefix, may include a query string)
+   * @returns {{route: Object, params: Object, query: Object, path: string}|null} Match details or null
+   * @example
+   * router.matchRoute("#/user/42?tab=posts");
+   * // { route, params: { id: "42" }, query: { tab: "posts" }, path: "/user/42" }
+   */
+  matchRoute(url) {
+    const cleanUrl = url.startsWith("#") ? url.substring(1) : url;
+    const { path, search } = splitUrl(cleanUrl);
+    const parts = splitPath(path);
+
+    for (const route of this.rankedRoutes) {
+      const params = matchSegments(route.segments, parts);
+      if (params) {
+        return { route, params, query: parseQuery(search), path };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Configures how routes are read from and written to the address bar
+   * @param {Object} [options={}] - Router options
+   * @param {string} [options.mode="hash"] - "hash" for "#/path" URLs, "history" for clean paths via pushState
+   * @param {string} [options.base=""] - Base path the app is served from in history mode, e.g. "/todo"
+   * @throws {Error} Throws if the mode is not supported
+   * @example
+   * router.configure({ mode: "history", base: "/apps/todo" });
+   */
+  configure({ mode = "hash", base = "" } = {}) {
+    if (!ROUTER_MODES.includes(mode)) {
+      throw new Error(`Error: unknown router mode "${mode}"`);
+    }
+    const trimmedBase = base.replace(/\/+$/, "");
+    this.config.mode = mode;
+    this.config.base =
+      trimmedBase && !trimmedBase.startsWith("/") ? "/" + trimmedBase : trimmedBase;
+  }
+
+  /**
+   * Strips the base path from a pathname
+   * @param {string} pathname - Pathname of a URL, e.g. "/app/active"
+   * @returns {string|null} Route path without the base, or null if the pathname is outside it;
+   * "/application" is outside the base "/app"
+   * @private
+   */
+  stripBase(pathname) {
+    const { base } = this.config;
+    if (pathname === base || pathname.startsWith(base + "/")) {
+      return pathname.substring(base.length);
+    }
+    return null;
+  }
+
+  /**
+   * Returns the route URL (path and query, without base or #) shown in the address bar
+   * @returns {string} Current route URL, e.g. "/active" or "/user/42?tab=posts"
+   */
+  getCurrentUrl() {
+    if (this.config.mode === "hash") {
+      return window.location.hash.substring(1) || "/";
+    }
+    const { pathname, search } = window.location;
+    const path = this.stripBase(pathname);
+    return (path === null ? pathname : path || "/") + search;
   }
 
-  // Update browser history if needed
-  const hashUrl = cleanUrl.startsWith("#") ? cleanUrl : "#" + cleanUrl;
-  if (window.location.hash !== hashUrl) {
-    history.pushState(null, "", hashUrl);
+  /**
+   * Builds the href for a route URL in the active router mode
+   * @param {string} url - Route URL, e.g. "/active"
+   * @returns {string} "#/active" in hash mode, base + "/active" in history mode
+   */
+  toHref(url) {
+    const cleanUrl = url.startsWith("#") ? url.substring(1) : url;
+    if (this.config.mode === "hash") {
+      return "#" + cleanUrl;
+    }
+    return this.config.base + cleanUrl;
+  }
+
+  /**
+   * Routes same-origin link clicks through the router in history mode
+   * @param {MouseEvent} event - Click event from inside the app root
+   * @private
+   */
+  handleLinkClick(event) {
+    if (
+      event.defaultPrevented ||
+      event.button !== 0 ||
+      event.metaKey ||
+      event.ctrlKey ||
+      event.shiftKey ||
+      event.altKey
+    ) {
+      return;
+    }
+    const anchor = event.target.closest && event.target.closest("a[href]");
+    if (
+      !anchor ||
+      (anchor.target && anchor.target !== "_self") ||
+      anchor.hasAttribute("download") ||
+      anchor.getAttribute("href").startsWith("#")
+    ) {
+      return;
+    }
+    const url = new URL(anchor.href, window.location.href);
+    const path = url.origin === window.location.origin ? this.stripBase(url.pathname) : null;
+    if (path === null) {
+      return;
+    }
+    event.preventDefault();
+    this.executeRoute((path || "/") + url.search);
+  }
+
+  /**
+   * Starts listening for address bar changes in the active router mode
+   * @param {Element} root - App root whose link clicks are intercepted in history mode
+   * @returns {Function} Function that removes the installed listeners
+   * @description Listening again replaces the previous listeners, so each router
+   * handles an address bar change once.
+   */
+  listen(root) {
+    if (this.unlisten) {
+      this.unlisten();
+    }
+    const onUrlChange = () => this.executeRoute(this.getCurrentUrl());
+
+    if (this.config.mode === "hash") {
+      window.addEventListener("hashchange", onUrlChange);
+      this.unlisten = () => window.removeEventListener("hashchange", onUrlChange);
+      return this.unlisten;
+    }
+    // Links are intercepted on the document, after handlers delegated to the root
+    // have had their chance to call preventDefault()
+    const onClick = (event) => {
+      if (root.contains(event.target)) {
+        this.handleLinkClick(event);
+      }
+    };
+    window.addEventListener("popstate", onUrlChange);
+    document.addEventListener("click", onClick);
+    this.unlisten = () => {
+      window.removeEventListener("popstate", onUrlChange);
+      document.removeEventListener("click", onClick);
+    };
+    return this.unlisten;
   }
+
+  /**
+   * Writes a route URL to the address bar if it is not already shown
+   * @param {string} url - Route URL without base or #
+   * @param {boolean} replace - Replace the current history entry instead of pushing one
+   * @param {*} [state=null] - State object stored with the history entry
+   * @private
+   */
+  updateHistory(url, replace, state = null) {
+    if (this.getCurrentUrl() === url) {
+      if (state !== null) history.replaceState(state, "", this.toHref(url));
+      return;
+    }
+    if (replace) {
+      history.replaceState(state, "", this.toHref(url));
+    } else {
+      history.pushState(state, "", this.toHref(url));
+    }
+  }
+
+  /**
+   * Registers a listener for navigation status changes
+   * @param {Function} listener - Called with `{ pending, path }` when a navigation starts
+   * or stops waiting on async guards or handlers
+   * @returns {Function} Function that removes the listener
+   */
+  onNavigationChange(listener) {
+    this.navigationListeners.add(listener);
+    return () => this.navigationListeners.delete(listener);
+  }
+
+  /**
+   * Registers a listener for route changes
+   * @param {Function} listener - Called with `{ path, params, query, pattern, state }` each
+   * time a navigation enters a route; pattern is null for the not-found handler
+   * @returns {Function} Function that removes the listener
+   */
+  onRouteChange(listener) {
+    this.routeListeners.add(listener);
+    return () => this.routeListeners.delete(listener);
+  }
+
+  /**
+   * Notifies navigation listeners if the pending state changes
+   * @param {boolean} pending - Whether the navigation is waiting on async work
+   * @param {string} path - Path being navigated to
+   * @private
+   */
+  setPending(pending, path) {
+    if (this.navigationPending === pending) return;
+    this.navigationPending = pending;
+    for (const listener of this.navigationListeners) {
+      listener({ pending, path });
+    }
+  }
+
+  /**
+   * Resolves a URL to the route target that should handle it
+   * @param {string} url - Route URL without # prefix
+   * @returns {Object|null} Target with route, handler, params, query, path, url and replace flag
+   * @private
+   */
+  resolveTarget(url) {
+    let cleanUrl = url;
+    let replace = false;
+    let match = this.matchRoute(cleanUrl);
+
+    // Follow redirects, replacing the redirected entry in the history
+    for (let hops = 0; !match && hops < MAX_REDIRECTS; hops++) {
+      const { path, search } = splitUrl(cleanUrl);
+      const target = this.resolveRedirect(path);
+      if (target === null) break;
+      cleanUrl = target.includes("?") ? target : target + search;
+      match = this.matchRoute(cleanUrl);
+      replace = true;
+    }
+
+    // Unknown URLs go to the not-found handler and stay in the address bar
+    if (!match && this.defaultRoute) {
+      const { path, search } = splitUrl(cleanUrl);
+      return {
+        route: null,
+        handler: this.defaultRoute,
+        params: {},
+        query: parseQuery(search),
+        path,
+        url: cleanUrl,
+        replace,
+      };
+    }
+
+    // Without a not-found handler, we route to "/"
+    if (!match) {
+      cleanUrl = "/";
+      match = this.matchRoute(cleanUrl);
+    }
+    if (!match) {
+      return null;
+    }
+    const { route, params, query, path } = match;
+    return { route, handler: route.handler, params, query, path, url: cleanUrl, replace };
+  }
+
+  /**
+   * Executes the handler for a specific route
+   * @param {string} url - URL to route to (with or without # prefix)
+   * @param {Object} [options={}] - Navigation options
+   * @param {boolean} [options.replace=false] - Replace the current history entry instead of pushing one
+   * @param {*} [options.state=null] - State object stored with the history entry
+   * @returns {Promise<boolean>} Resolves to true once the route was entered, false if the
+   * navigation was cancelled by a guard, superseded by a newer one, or failed
+   * @description Unmatched URLs are checked against the redirects, then passed to
+   * the default route registered with addDefaultRoute (keeping the URL). Without a
+   * default route they fall back to the "/" route.
+   * The current route's beforeLeave and the target's beforeEnter guards run first;
+   * a guard returning a URL redirects there, at most MAX_REDIRECTS times in a row.
+   * Synchronous guards and handlers run immediately; the navigation only becomes
+   * pending while it waits on a promise.
+   * Updates browser history if the address bar doesn't match the target URL.
+   * @example
+   * router.executeRoute("#/home"); // Executes handler for /home route
+   * router.executeRoute("/user/42?tab=posts");  // Executes handler for /user/:id
+   */
+  executeRoute(url, options = {}) {
+    return this.runNavigation(url, options, 0);
+  }
+
+  /**
+   * Runs a navigation for executeRoute, counting redirects issued by guards
+   * @param {string} url - URL to route to (with or without # prefix)
+   * @param {Object} options - Navigation options, see executeRoute
+   * @param {number} guardRedirects - Number of guard redirects that led here
+   * @returns {Promise<boolean>} Resolves to true once the route was entered
+   * @private
+   */
+  async runNavigation(url, options, guardRedirects) {
+    // Clean up the URL - remove # prefix if present
+    const cleanUrl = url.startsWith("#") ? url.substring(1) : url;
+    const to = this.resolveTarget(cleanUrl);
+    if (!to) {
+      console.log("No handler found for route:", cleanUrl);
+      return false;
+    }
+
+    // Supersede any navigation that is still waiting on async work
+    if (this.currentNavigation) {
+      this.currentNavigation.controller.abort();
+    }
+    const navigation = { id: ++this.navigationCount, controller: new AbortController() };
+    this.currentNavigation = navigation;
+    const isStale = () => this.currentNavigation !== navigation;
+
+    try {
+      const from = this.activeTarget;
+      const guards = [
+        from && from.route && from.route.beforeLeave,
+        to.route && to.route.beforeEnter,
+      ];
+      for (const guard of guards) {
+        if (!guard) continue;
+        let verdict = guard(to, from);
+        if (isThenable(verdict)) {
+          this.setPending(true, to.path);
+          verdict = await untilAborted(verdict, navigation.controller.signal);
+          if (isStale()) return false;
+        }
+        if (verdict === false) {
+          // Restore the address bar if the browser already moved to the target
+          if (from) this.updateHistory(from.url, true);
+          return false;
+        }
+        if (typeof verdict === "string") {
+          if (guardRedirects >= MAX_REDIRECTS) {
+            console.error(`Navigation to "${cleanUrl}" stopped after ${MAX_REDIRECTS} guard redirects`);
+            if (from) this.updateHistory(from.url, true);
+            return false;
+          }
+          return this.runNavigation(verdict, { replace: true, state: options.state }, guardRedirects + 1);
+        }
+      }
+
+      // Update browser history if needed
+      this.updateHistory(to.url, to.replace || Boolean(options.replace), options.state);
+      this.activeTarget = to;
+      const route = {
+        path: to.path,
+        params: to.params,
+        query: to.query,
+        pattern: to.route ? to.route.pattern : null,
+        state: history.state,
+      };
+      for (const listener of this.routeListeners) {
+        listener(route);
+      }
+
+      // Execute the handler
+      const { params, query, path } = to;
+      const result = to.handler({ params, query, path, signal: navigation.controller.signal });
+      if (isThenable(result)) {
+        this.setPending(true, to.path);
+        // A superseded navigation settles right away, even if the handler ignores the signal
+        await untilAborted(result, navigation.controller.signal);
+      }
+      return !isStale();
+    } catch (error) {
+      if (!isStale()) {
+        console.error(`Navigation to "${cleanUrl}" failed:`, error);
+      }
+      return false;
+    } finally {
+      if (!isStale()) {
+        this.currentNavigation = null;
+        this.setPending(false, to.path);
+      }
+    }
+  }
+
+  /**
+   * Navigates to a route URL
+   * @param {string} url - Route URL, e.g. "/user/42?tab=posts"
+   * @param {Object} [options={}] - Navigation options
+   * @param {boolean} [options.replace=false] - Replace the current history entry instead of pushing one
+   * @param {*} [options.state=null] - State object stored with the history entry
+   * @returns {Promise<boolean>} Resolves to true once the route was entered
+   * @example
+   * router.navigate("/user/42", { state: { from: "search" } });
+   * router.navigate("/login", { replace: true });
+   */
+  navigate(url, options = {}) {
+    return this.executeRoute(url, options);
+  }
+}
+
+/** @type {Router} Router used by the functions exported below */
+const defaultRouter = new Router();
+
+/** @type {Map<string, Object>} Route storage of the default router */
+export const allRoutes = defaultRouter.allRoutes
+export let defaultRoute
+
+/** @type {{mode: string, base: string}} Configuration of the default router */
+export const routerConfig = defaultRouter.config
+
+/**
+ * Adds a route to the default router, see Router#addRoute
+ * @param {string} url - URL pattern for the route
+ * @param {Function} handler - Function to execute when route is matched
+ * @param {Object} [options={}] - Route guards
+ * @returns {boolean} True if route was added successfully
+ */
+export function addRoute(url, handler, options = {}) {
+  return defaultRouter.addRoute(url, handler, options);
+}
+
+/**
+ * Sets the not-found handler of the default router, see Router#addDefaultRoute
+ * @param {Function} handler - Function called for unmatched paths
+ * @returns {boolean} True if the handler was set
+ */
+export function addDefaultRoute(handler) {
+  const added = defaultRouter.addDefaultRoute(handler);
+  defaultRoute = defaultRouter.defaultRoute;
+  return added;
+}
+
+/**
+ * Adds a redirect to the default router, see Router#addRedirect
+ * @param {string} from - URL pattern to redirect from
+ * @param {string} to - Target URL
+ * @returns {boolean} True if the redirect was added
+ */
+export function addRedirect(from, to) {
+  return defaultRouter.addRedirect(from, to);
+}
+
+/**
+ * Finds the most specific route of the default router matching a URL, see Router#matchRoute
+ * @param {string} url - URL to match
+ * @returns {Object|null} Match details or null
+ */
+export function matchRoute(url) {
+  return defaultRouter.matchRoute(url);
+}
+
+/**
+ * Configures the default router, see Router#configure
+ * @param {Object} [options={}] - Router options
+ */
+export function configureRouter(options = {}) {
+  defaultRouter.configure(options);
+}
+
+/**
+ * Returns the route URL shown in the address bar for the default router, see Router#getCurrentUrl
+ * @returns {string} Current route URL
+ */
+export function getCurrentUrl() {
+  return defaultRouter.getCurrentUrl();
+}
+
+/**
+ * Builds the href for a route URL of the default router, see Router#toHref
+ * @param {string} url - Route URL
+ * @returns {string} Href in the default router's mode
+ */
+export function toHref(url) {
+  return defaultRouter.toHref(url);
+}
+
+/**
+ * Starts the default router listening for address bar changes, see Router#listen
+ * @param {Element} root - App root whose link clicks are intercepted in history mode
+ * @returns {Function} Function that removes the installed listeners
+ */
+export function listen(root) {
+  return defaultRouter.listen(root);
+}
+
+/**
+ * Registers a navigation status listener on the default router, see Router#onNavigationChange
+ * @param {Function} listener - Called with `{ pending, path }`
+ * @returns {Function} Function that removes the listener
+ */
+export function onNavigationChange(listener) {
+  return defaultRouter.onNavigationChange(listener);
+}
+
+/**
+ * Registers a route change listener on the default router, see Router#onRouteChange
+ * @param {Function} listener - Called with `{ path, params, query, pattern, state }`
+ * @returns {Function} Function that removes the listener
+ */
+export function onRouteChange(listener) {
+  return defaultRouter.onRouteChange(listener);
+}
+
+/**
+ * Executes the handler for a URL on the default router, see Router#executeRoute
+ * @param {string} url - URL to route to
+ * @param {Object} [options={}] - Navigation options
+ * @returns {Promise<boolean>} Resolves to true once the route was entered
+ */
+export function executeRoute(url, options = {}) {
+  return defaultRouter.executeRoute(url, options);
+}
+
+/**
+ * Navigates the default router to a route URL, see Router#navigate
+ * @param {string} url - Route URL
+ * @param {Object} [options={}] - Navigation options
+ * @returns {Promise<boolean>} Resolves to true once the route was entered
+ */
+export function navigate(url, options = {}) {
+  return defaultRouter.navigate(url, options);
+}
+
+/**
+ * Goes back one entry in the browser history
+ */
+export function back() {
+  history.back();
+}
+
+/**
+ * Goes forward one entry in the browser history
+ */
+export function forward() {
+  history.forward();
 }
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Update scheduler that batches renders for the mini-framework
+ * @version 0.0.1
+ * @author The Last of the Mohicans 2
+ */
+
+/** @constant {number} Flush passes allowed before an update loop is reported */
+const MAX_FLUSH_PASSES = 100;
+
+/** @type {Array<string>} Supported scheduling strategies */
+const STRATEGIES = ["microtask", "animationFrame", "sync"];
+
+/** @type {Set<Function>} Jobs waiting for the next flush, in the order they were queued */
+const queue = new Set();
+
+/** @type {Array<Function>} Resolvers of nextTick promises waiting for the next flush */
+let tickResolvers = [];
+
+/** @type {string} Active scheduling strategy */
+let strategy = "microtask";
+
+/** @type {boolean} Whether a flush has been requested but not started */
+let flushRequested = false;
+
+/** @type {boolean} Whether jobs are being run right now */
+let isFlushing = false;
+
+/**
+ * Chooses when queued jobs run
+ * @param {string} name - "microtask" (default), "animationFrame" or "sync" (no batching)
+ * @throws {Error} Throws if the strategy is not supported
+ */
+export function setSchedulingStrategy(name) {
+  if (!STRATEGIES.includes(name)) {
+    throw new Error(`Error: unknown scheduling strategy "${name}"`);
+  }
+  strategy = name;
+}
+
+/**
+ * Requests a flush according to the active strategy
+ * @private
+ */
+function requestFlush() {
+  if (flushRequested || isFlushing) return;
+  flushRequested = true;
+  if (strategy === "animationFrame" && typeof requestAnimationFrame === "function") {
+    requestAnimationFrame(flushJobs);
+  } else {
+    queueMicrotask(flushJobs);
+  }
+}
+
+/**
+ * Queues a job for the next flush; a job queued several times runs once
+ * @param {Function} job - Job to run, usually a render
+ */
+export function queueJob(job) {
+  queue.add(job);
+  if (strategy === "sync") {
+    flushJobs();
+  } else {
+    requestFlush();
+  }
+}
+
+/**
+ * Removes a job from the queue, e.g. because it already ran synchronously
+ * @param {Function} job - Job to remove
+ */
+export function cancelJob(job) {
+  queue.delete(job);
+}
+
+/**
+ * Runs every queued job, including jobs queued while flushing
+ * @throws {Error} Throws if jobs keep queueing each other, e.g. setState during render,
+ * or rethrows the first error of a failing job once every other job has run
+ */
+export function flushJobs() {
+  flushRequested = false;
+  if (isFlushing) return;
+  isFlushing = true;
+  const errors = [];
+  try {
+    for (let pass = 1; queue.size > 0; pass++) {
+      if (pass > MAX_FLUSH_PASSES) {
+        queue.clear();
+        throw new Error(
+          "Error: maximum update depth exceeded, state is probably being set during render"
+        );
+      }
+      const jobs = [...queue];
+      queue.clear();
+      // One failing job must not drop the updates of the others
+      for (const job of jobs) {
+        try {
+          job();
+        } catch (error) {
+          errors.push(error);
+        }
+      }
+    }
+    if (errors.length > 0) {
+      errors.slice(1).forEach((error) => console.error("Scheduled job failed:", error));
+      throw errors[0];
+    }
+  } finally {
+    isFlushing = false;
+    const resolvers = tickResolvers;
+    tickResolvers = [];
+    resolvers.forEach((resolve) => resolve());
+  }
+}
+
+/**
+ * Runs a function and then flushes all queued jobs synchronously
+ * @param {Function} [fn] - Function whose updates should reach the DOM immediately
+ * @returns {*} Return value of fn
+ * @example
+ * flushSync(() => app.setState({ open: true }));
+ * findElement(".dialog").focus();
+ */
+export function flushSync(fn) {
+  const result = typeof fn === "function" ? fn() : undefined;
+  flushJobs();
+  return result;
+}
+
+/**
+ * Returns a promise that resolves after the next flush has patched the DOM
+ * @returns {Promise<void>} Resolves once queued jobs have run
+ * @example
+ * app.setState({ editingId: 3 });
+ * app.nextTick().then(() => focusElement(".edit"));
+ */
+export function nextTick() {
+  return new Promise((resolve) => {
+    tickResolvers.push(resolve);
+    requestFlush();
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Schema validation for state values in the mini-framework
+ * @version 0.0.1
+ * @author The Last of the Mohicans 2
+ */
+
+/** @type {Array<string>} Types a field schema may name */
+const TYPES = ["any", "string", "number", "boolean", "object", "array", "function", "null"];
+
+/**
+ * Field schema
+ * @typedef {Object} FieldSchema
+ * @property {string|Array<string>} [type="any"] - One or more of "string", "number",
+ * "boolean", "object", "array", "function", "null" or "any"
+ * @property {boolean} [required=false] - Whether the value may be undefined
+ * @property {Array<*>} [enum] - Allowed values
+ * @property {FieldSchema} [items] - Schema of every item of an array
+ * @property {Object<string, FieldSchema>} [properties] - Schemas of the keys of an object
+ */
+
+/**
+ * Returns the schema type name of a value
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Formats a value for an error message
+ * @private
+ */
+function describe(value) {
+  if (typeof value === "string") return `"${value}"`;
+  if (typeof value === "function") return "a function";
+  if (Array.isArray(value)) return "an array";
+  if (typeof value === "object" && value !== null) return "an object";
+  return String(value);
+}
+
+/**
+ * Checks that a schema only uses known types, so typos fail early
+ * @param {Object<string, FieldSchema>} fields - Schemas by key
+ * @param {string} [path=""] - Path of the fields, for error messages
+ * @throws {Error} Throws if a field names an unknown type
+ */
+export function checkSchema(fields, path = "") {
+  for (const [key, field] of Object.entries(fields)) {
+    const fieldPath = path ? `${path}.${key}` : key;
+    const types = [].concat(field.type || "any");
+    const unknown = types.find((type) => !TYPES.includes(type));
+    if (unknown) {
+      throw new Error(`Error: schema of ${fieldPath} has unknown type "${unknown}"`);
+    }
+    if (field.items) {
+      checkSchema({ "[]": field.items }, fieldPath);
+    }
+    if (field.properties) {
+      checkSchema(field.properties, fieldPath);
+    }
+  }
+}
+
+/**
+ * Validates a value against a field schema
+ * @param {FieldSchema} field - Schema to validate against
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value, used in messages, e.g. "todos[0].id"
+ * @returns {Array<string>} Descriptions of every violation; empty if the value is valid
+ * @example
+ * validateValue({ type: "string", enum: ["all", "active"] }, "bogus", "filter");
+ * // ['filter should be one of "all", "active", got "bogus"']
+ */
+export function validateValue(field, value, path) {
+  if (value === undefined) {
+    return field.required ? [`${path} is required`] : [];
+  }
+  const types = [].concat(field.type || "any");
+  if (!types.includes("any") && !types.includes(typeOf(value))) {
+    return [`${path} should be ${types.join(" or ")}, got ${describe(value)}`];
+  }
+  if (field.enum && !field.enum.some((allowed) => Object.is(allowed, value))) {
+    return [
+      `${path} should be one of ${field.enum.map(describe).join(", ")}, got ${describe(value)}`,
+    ];
+  }
+  const errors = [];
+  if (field.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      errors.push(...validateValue(field.items, item, `${path}[${index}]`));
+    });
+  }
+  if (field.properties && typeOf(value) === "object") {
+    for (const [key, property] of Object.entries(field.properties)) {
+      errors.push(...validateValue(property, value[key], `${path}.${key}`));
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Renders virtual elements to HTML strings, without a DOM, for the mini-framework
+ * @version 0.0.1
+ * @author The Last of the Mohicans 2
+ */
+
+import { FRAGMENT_TAG, RESERVED_ATTRIBUTES, TEXT_TAG, VOID_ELEMENTS } from "./VDom.js";
+import { isEventAttribute } from "./Events.js";
+import { htmlAttributes } from "./Attributes.js";
+import { Component, isComponent } from "./Component.js";
+
+/**
+ * Escapes text for use as element content
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Escapes text for use inside a double-quoted attribute value
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped value
+ */
+export function escapeAttribute(value) {
+  return escapeHtml(value).replace(/"/g, "&quot;");
+}
+
+/**
+ * Serializes the attributes of a virtual element the way the DOM renderer applies them
+ * @param {string} tag - Tag of the element
+ * @param {Object} attributes - Virtual element attributes
+ * @returns {string} Attributes with a leading space each, or ""
+ * @private
+ */
+function renderAttributes(tag, attributes) {
+  let html = "";
+  for (const [name, value] of Object.entries(attributes)) {
+    if (RESERVED_ATTRIBUTES.has(name) || isEventAttribute(name, value)) {
+      continue;
+    }
+    // The DOM renderer sets a select's value as a property only
+    if (name === "value" && tag === "select") {
+      continue;
+    }
+    for (const [attrName, attrValue] of htmlAttributes(name, value)) {
+      html += attrValue === "" ? ` ${attrName}` : ` ${attrName}="${escapeAttribute(attrValue)}"`;
+    }
+  }
+  return html;
+}
+
+/**
+ * Renders one virtual element to HTML
+ * @private
+ */
+function renderElement(elem) {
+  if (typeof elem !== "object" || elem === null) {
+    throw new Error(`Error: ${elem} is not an object`);
+  }
+  if (isComponent(elem.tag)) {
+    // Components render with their initial state; lifecycle hooks never run
+    const instance = new Component(elem.tag, elem.attributes, elem.children, {});
+    return renderElement(instance.render());
+  }
+  if (elem.tag === TEXT_TAG) {
+    return escapeHtml(elem.innerText || "");
+  }
+  if (elem.tag === FRAGMENT_TAG) {
+    return elem.children.map(renderElement).join("");
+  }
+  const tag = elem.tag;
+  const open = `<${tag}${renderAttributes(tag, elem.attributes || {})}>`;
+  if (VOID_ELEMENTS.has(tag)) {
+    return open;
+  }
+  const text = elem.innerText ? escapeHtml(elem.innerText) : "";
+  const children = (elem.children || []).map(renderElement).join("");
+  return `${open}${text}${children}</${tag}>`;
+}
+
+/**
+ * Renders virtual elements to an HTML string
+ * @param {Object|Array<Object>} vnodes - Virtual element or list of virtual elements
+ * @returns {string} HTML markup; text and attribute values are escaped
+ * @throws {Error} Throws if a vnode is not an object
+ * @description Works without a document, e.g. in Node. Event handlers, refs
+ * and lifecycle hooks are left out, `checked` is written only when true, and
+ * void elements such as `input` get no closing tag.
+ * @example
+ * renderToString(createVirtualElement("p", { class: "note" }, "1 < 2", []));
+ * // '<p class="note">1 &lt; 2</p>'
+ */
+export function renderToString(vnodes) {
+  return (Array.isArray(vnodes) ? vnodes : [vnodes]).map(renderElement).join("");
+}
@@ -4,6 +4,111 @@
  * @author The Last of the Mohicans 2
  */
 
+import { checkSchema, validateValue } from "./Schema.js"
+
+/**
+ * Compares two values by identity, or by their own keys/items one level deep
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are shallowly equal
+ */
+export function shallowEqual(a, b) {
+    if (Object.is(a, b)) {
+        return true
+    }
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) {
+        return false
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false
+    }
+    const keysA = Object.keys(a)
+    const keysB = Object.keys(b)
+    if (keysA.length !== keysB.length) {
+        return false
+    }
+    return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]))
+}
+
+/** @constant {number} Default number of dispatched actions kept in the action log */
+const ACTION_LOG_LIMIT = 100
+
+/** @constant {number} Default number of undo steps kept by enableHistory() */
+const HISTORY_LIMIT = 50
+
+/** @type {string} "development" freezes state to catch mutations, "production" skips the cost */
+let stateMode = "development"
+
+/**
+ * Chooses whether state is frozen against mutation
+ * @param {string} mode - "development" (default) or "production"
+ * @throws {Error} Throws if the mode is not supported
+ * @description In development mode every value stored by setState is deep-frozen,
+ * so code such as `getState().todos.push(todo)` throws a TypeError where the
+ * mutation happens instead of silently changing state without a render.
+ * Virtual elements are not frozen, since the renderer records DOM nodes on them.
+ * Production mode stores values as they are.
+ */
+export function setStateMode(mode) {
+    if (mode !== "development" && mode !== "production") {
+        throw new Error(`Error: unknown state mode "${mode}"`)
+    }
+    stateMode = mode
+}
+
+/**
+ * Returns the active state mode
+ * @returns {string} "development" or "production"
+ */
+export function getStateMode() {
+    return stateMode
+}
+
+/**
+ * Checks whether a value looks like a virtual element
+ * @private
+ */
+function isVirtualElement(value) {
+    return "tag" in value && "attributes" in value && Array.isArray(value.children)
+}
+
+/**
+ * Freezes plain objects and arrays recursively; other objects such as DOM nodes
+ * are left alone, and so are virtual elements, which the renderer writes its
+ * DOM bookkeeping onto (e.g. rendered rows memoized in a computed value)
+ * @private
+ */
+function deepFreeze(value) {
+    if (typeof value !== "object" || value === null || Object.isFrozen(value)) {
+        return value
+    }
+    const proto = Object.getPrototypeOf(value)
+    if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) {
+        return value
+    }
+    if (isVirtualElement(value)) {
+        return value
+    }
+    for (const key of Object.keys(value)) {
+        const descriptor = Object.getOwnPropertyDescriptor(value, key)
+        if ("value" in descriptor) {
+            deepFreeze(descriptor.value)
+        }
+    }
+    return Object.freeze(value)
+}
+
+/**
+ * Middleware that lets function actions run with (dispatch, getState), e.g. for async work
+ * @param {{dispatch: Function, getState: Function}} store - Store API
+ * @returns {Function} Middleware chain link
+ * @example
+ * store.use(thunk)
+ * store.dispatch(async (dispatch) => dispatch({ type: "todos/loaded", todos: await load() }))
+ */
+export const thunk = (store) => (next) => (action) =>
+    typeof action === "function" ? action(store.dispatch, store.getState) : next(action)
+
 /**
  * State management class with listener support and automatic updates
  * @class State
@@ -14,12 +119,32 @@ export class State {
      * @param {Array<Function>} [listeners] - Optional array of listener functions to call on state changes
      */
     constructor(listeners) {
-        /** @type {Object} Internal state storage */
-        this.state = {}
+        /** @type {Object} Internal state storage, frozen in development mode */
+        this.state = stateMode === "development" ? Object.freeze({}) : {}
         /** @type {Array<Function>} Array of listener functions */
         this.listeners = []
-        /** @type {Function|null} Callback function for triggering updates */
-        this.updateCallback = null // Add this
+        /** @type {Set<Object>} Selector subscriptions created by subscribe() */
+        this.subscriptions = new Set()
+        /** @type {Map<string, Object>} Computed values created by defineComputed() */
+        this.computed = new Map()
+        /** @type {Object|null} Snapshot returned by getState() for the current state */
+        this.snapshot = null
+        /** @type {Map<string, Function>} Reducers registered with addReducer(), by action type */
+        this.reducers = new Map()
+        /** @type {Array<Function>} Middleware registered with use(), outermost first */
+        this.middleware = []
+        /** @type {Function} Dispatch function wrapped by the middleware chain */
+        this.dispatchChain = (action) => this.applyAction(action)
+        /** @type {Array<Object>} Most recent actions that reached the reducers */
+        this.actionLog = []
+        /** @type {number} Maximum length of the action log */
+        this.actionLogLimit = ACTION_LOG_LIMIT
+        /** @type {Object|null} Undo/redo history, set up by enableHistory() */
+        this.history = null
+        /** @type {Array<Function>} Observers registered with observe(), told about silent changes too */
+        this.observers = []
+        /** @type {Object<string, Object>|null} Field schemas set by setSchema(), by state key */
+        this.schema = null
         if (listeners && Array.isArray(listeners) && listeners.length > 0) {
             for (const listener of listeners) {
                 if (typeof listener !== "function") {
@@ -33,52 +158,661 @@ export class State {
     }
 
     /**
-     * Sets the update callback function that gets called on state changes
-     * @param {Function} callback - Function to call when state is updated
+     * Subscribes to changes of a slice of the state
+     * @param {Function|string} selector - Function picking the slice from the state, or a state key
+     * @param {Function} callback - Called with (nextValue, prevValue, change) when the slice changes
+     * @param {Object} [options={}] - Subscription options
+     * @param {Function} [options.equals=shallowEqual] - Decides whether two slices are equal
+     * @returns {Function} Function that removes the subscription
+     * @description Called with only a function, subscribes a listener to every change;
+     * it receives (prevState, nextState, changedKeys) like the constructor listeners.
+     * @example
+     * const unsubscribe = store.subscribe("todos", (todos) => save(todos))
+     * store.subscribe((state) => state.todos.length, (count, prevCount) => track(count))
+     */
+    subscribe(selector, callback, options = {}) {
+        if (callback === undefined && typeof selector === "function") {
+            this.listeners.push(selector)
+            return () => {
+                this.listeners = this.listeners.filter((listener) => listener !== selector)
+            }
+        }
+        if (typeof callback !== "function") {
+            throw new Error("Error: subscription callback is not a function")
+        }
+        const select = typeof selector === "string" ? (state) => state[selector] : selector
+        if (typeof select !== "function") {
+            throw new Error("Error: selector is not a function or state key")
+        }
+        const subscription = {
+            select,
+            callback,
+            equals: options.equals || shallowEqual,
+            value: select(this.getState()),
+        }
+        this.subscriptions.add(subscription)
+        return () => {
+            this.subscriptions.delete(subscription)
+        }
+    }
+
+    /**
+     * Observes every state change, including silent ones made with triggerUpdate=false
+     * @param {Function} observer - Called with (prevState, nextState, changedKeys, triggerUpdate)
+     * @returns {Function} Function that removes the observer
+     * @description Meant for plumbing such as tab synchronization that must see
+     * every change; rendering should use subscribe().
+     */
+    observe(observer) {
+        if (typeof observer !== "function") {
+            throw new Error("Error: observer is not a function")
+        }
+        this.observers.push(observer)
+        return () => {
+            this.observers = this.observers.filter((entry) => entry !== observer)
+        }
+    }
+
+    /**
+     * Sets the schema that every state update is validated against
+     * @param {Object<string, Object>} schema - Field schemas by state key, see FieldSchema in Schema.js;
+     * keys without a schema are not checked
+     * @returns {State} Returns this State instance for method chaining
+     * @throws {Error} Throws if the schema names an unknown type, or in development
+     * mode if the current state does not match it
+     * @description Call it once the initial state is set: the whole state is checked
+     * then, afterwards only the keys each setState changes. Violations throw in
+     * development mode and are reported with console.warn in production mode;
+     * either way the update is rejected.
+     * @example
+     * store.setSchema({
+     *     filter: { type: "string", enum: ["all", "active", "completed"], required: true },
+     *     todos: { type: "array", items: { type: "object", properties: { id: { type: "number", required: true } } } },
+     * })
+     */
+    setSchema(schema) {
+        checkSchema(schema)
+        this.schema = schema
+        this.reportInvalid(this.validate(this.state, Object.keys(schema)))
+        return this
+    }
+
+    /**
+     * Validates the given keys of a state object against the schema
+     * @param {Object} values - Values by state key
+     * @param {Array<string>} keys - Keys to validate
+     * @returns {Array<string>} Descriptions of every violation
+     * @private
+     */
+    validate(values, keys) {
+        if (!this.schema) {
+            return []
+        }
+        const errors = []
+        for (const key of keys) {
+            if (this.schema[key]) {
+                errors.push(...validateValue(this.schema[key], values[key], key))
+            }
+        }
+        return errors
+    }
+
+    /**
+     * Throws in development mode or warns in production mode about schema violations
+     * @param {Array<string>} errors - Descriptions of the violations
+     * @returns {boolean} True if there were no violations
+     * @private
+     */
+    reportInvalid(errors) {
+        if (errors.length === 0) {
+            return true
+        }
+        const message = `invalid state: ${errors.join("; ")}`
+        if (stateMode === "development") {
+            throw new Error(`Error: ${message}`)
+        }
+        console.warn(`Rejected ${message}`)
+        return false
+    }
+
+    /**
+     * Declares a value derived from state keys or other computed values
+     * @param {string} name - Name under which the value is read
+     * @param {Array<string>} deps - State keys or computed names the value depends on
+     * @param {Function} compute - Called with the dependency values, in order
+     * @returns {State} Returns this State instance for method chaining
+     * @throws {Error} Throws if the name is taken or the dependencies form a cycle
+     * @description The value is computed lazily and cached until one of its
+     * dependencies changes identity.
+     * @example
+     * store.defineComputed("visibleTodos", ["todos", "filter"], (todos, filter) =>
+     *     todos.filter((todo) => filter === "all" || todo.completed === (filter === "completed")))
+     * store.get("visibleTodos")
+     */
+    defineComputed(name, deps, compute) {
+        if (typeof name !== "string" || !Array.isArray(deps) || typeof compute !== "function") {
+            throw new Error("Error: defineComputed expects a name, a dependency array and a function")
+        }
+        if (this.computed.has(name) || name in this.state) {
+            throw new Error(`Error: "${name}" is already defined in this state`)
+        }
+        this.computed.set(name, { deps: [...deps], compute, depValues: null, value: undefined })
+        const cycle = this.findCycle(name, [])
+        if (cycle) {
+            this.computed.delete(name)
+            throw new Error(`Error: computed "${name}" has a circular dependency: ${cycle.join(" -> ")}`)
+        }
+        this.snapshot = null
+        return this
+    }
+
+    /**
+     * Looks for a dependency path that leads back to a computed value
+     * @param {string} name - Computed name to start from
+     * @param {Array<string>} path - Names visited so far
+     * @returns {Array<string>|null} The circular path, or null
+     * @private
+     */
+    findCycle(name, path) {
+        if (path.includes(name)) {
+            return [...path.slice(path.indexOf(name)), name]
+        }
+        const entry = this.computed.get(name)
+        if (!entry) {
+            return null
+        }
+        for (const dep of entry.deps) {
+            const cycle = this.findCycle(dep, [...path, name])
+            if (cycle) {
+                return cycle
+            }
+        }
+        return null
+    }
+
+    /**
+     * Reads a state value or computed value
+     * @param {string} name - State key or computed name
+     * @returns {*} The value; computed values are recomputed only if a dependency changed
      */
-    setUpdateCallback(callback) {
-        this.updateCallback = callback;
+    get(name) {
+        return this.computeFrom(this.state, name)
+    }
+
+    /**
+     * Reads a state value or computed value of a given state object
+     * @param {Object} state - Current or earlier internal state
+     * @param {string} name - State key or computed name
+     * @returns {*} The value; only values of the current state are memoized
+     * @private
+     */
+    computeFrom(state, name) {
+        const entry = this.computed.get(name)
+        if (!entry) {
+            return state[name]
+        }
+        const depValues = entry.deps.map((dep) => this.computeFrom(state, dep))
+        const isFresh =
+            entry.depValues !== null &&
+            depValues.every((value, index) => Object.is(value, entry.depValues[index]))
+        if (isFresh) {
+            return entry.value
+        }
+        const value = entry.compute(...depValues)
+        if (stateMode === "development") {
+            deepFreeze(value)
+        }
+        if (state === this.state) {
+            entry.value = value
+            entry.depValues = depValues
+        }
+        return value
     }
 
     /**
      * Returns the current state object
-     * @returns {Object} Current state object
+     * @returns {Object} Current state object; computed values are included as lazy getters.
+     * In development mode it is frozen, see setStateMode
      */
     getState() {
-        return this.state
+        if (this.computed.size === 0) {
+            return this.state
+        }
+        if (!this.snapshot || this.snapshot.source !== this.state) {
+            this.snapshot = { source: this.state, value: this.createSnapshot(this.state) }
+        }
+        return this.snapshot.value
+    }
+
+    /**
+     * Copies a state object and adds its computed values as lazy getters
+     * @param {Object} state - Internal state to copy
+     * @returns {Object} Snapshot whose computed values belong to that state, not the current one
+     * @private
+     */
+    createSnapshot(state) {
+        const value = { ...state }
+        const cache = new Map()
+        for (const name of this.computed.keys()) {
+            Object.defineProperty(value, name, {
+                enumerable: true,
+                get: () => {
+                    if (!cache.has(name)) {
+                        cache.set(name, this.computeFrom(state, name))
+                    }
+                    return cache.get(name)
+                },
+            })
+        }
+        if (stateMode === "development") {
+            Object.freeze(value)
+        }
+        return value
+    }
+
+    /**
+     * Registers the reducer for an action type
+     * @param {string} type - Action type, e.g. "todos/add"
+     * @param {Function} reducer - Called with (state, action); returns the state values to merge
+     * @returns {State} Returns this State instance for method chaining
+     * @throws {Error} Throws if the type already has a reducer
+     * @example
+     * store.addReducer("todos/remove", (state, action) => ({
+     *     todos: state.todos.filter((todo) => todo.id !== action.id),
+     * }))
+     */
+    addReducer(type, reducer) {
+        if (typeof type !== "string" || typeof reducer !== "function") {
+            throw new Error("Error: addReducer expects an action type and a function")
+        }
+        if (this.reducers.has(type)) {
+            throw new Error(`Error: a reducer for "${type}" is already registered`)
+        }
+        this.reducers.set(type, reducer)
+        return this
+    }
+
+    /**
+     * Adds a middleware to the dispatch pipeline
+     * @param {Function} middleware - Called as middleware({ dispatch, getState })(next)(action)
+     * @returns {State} Returns this State instance for method chaining
+     * @description Middleware runs in the order it was added; each decides whether to
+     * pass the action on with next(action), replace it, or stop it.
+     * @example
+     * store.use((store) => (next) => (action) => {
+     *     console.log("dispatching", action.type)
+     *     return next(action)
+     * })
+     */
+    use(middleware) {
+        if (typeof middleware !== "function") {
+            throw new Error("Error: middleware is not a function")
+        }
+        this.middleware.push(middleware)
+        const api = {
+            dispatch: (action) => this.dispatch(action),
+            getState: () => this.getState(),
+        }
+        this.dispatchChain = this.middleware.reduceRight(
+            (next, link) => link(api)(next),
+            (action) => this.applyAction(action)
+        )
+        return this
+    }
+
+    /**
+     * Sends an action through the middleware to its reducer
+     * @param {Object|Function} action - Action with a string `type`, or anything a middleware understands
+     * @returns {*} Whatever the middleware chain returns; the action itself by default
+     * @example
+     * store.dispatch({ type: "todos/toggle", id: 3 })
+     */
+    dispatch(action) {
+        return this.dispatchChain(action)
+    }
+
+    /**
+     * Applies an action that made it through the middleware
+     * @param {Object} action - Action with a string `type`
+     * @returns {Object} The action
+     * @throws {Error} Throws if the action has no string type
+     * @private
+     */
+    applyAction(action) {
+        if (typeof action !== "object" || action === null || typeof action.type !== "string") {
+            throw new Error("Error: actions must be objects with a string type")
+        }
+        this.actionLog.push({ ...action, timestamp: Date.now() })
+        if (this.actionLog.length > this.actionLogLimit) {
+            this.actionLog.shift()
+        }
+        const reducer = this.reducers.get(action.type)
+        if (!reducer) {
+            console.warn(`No reducer registered for action "${action.type}"`)
+            return action
+        }
+        const changes = reducer(this.getState(), action)
+        if (changes) {
+            this.setState(changes)
+        }
+        return action
+    }
+
+    /**
+     * Returns the most recent actions that reached the reducers, oldest first
+     * @returns {Array<Object>} Copies of the actions with a `timestamp` added
+     */
+    getActionLog() {
+        return [...this.actionLog]
+    }
+
+    /**
+     * Starts keeping snapshots of the state for undo and redo
+     * @param {Object} [options={}] - History options
+     * @param {number} [options.limit=50] - Maximum number of undo steps kept
+     * @param {Array<string>} [options.include] - Only these keys are tracked; all keys by default
+     * @param {Array<string>} [options.exclude=[]] - Keys never tracked, e.g. UI-only state
+     * @returns {State} Returns this State instance for method chaining
+     * @description Changes that only touch untracked keys do not create undo steps,
+     * and undo/redo leave untracked keys as they are.
+     * @example
+     * store.enableHistory({ limit: 20, exclude: ["editingId"] })
+     */
+    enableHistory(options = {}) {
+        this.history = {
+            past: [],
+            future: [],
+            limit: options.limit || HISTORY_LIMIT,
+            include: options.include ? new Set(options.include) : null,
+            exclude: new Set(options.exclude || []),
+            transactionDepth: 0,
+            transactionRecorded: false,
+            isRestoring: false,
+        }
+        return this
+    }
+
+    /**
+     * Checks whether a key is tracked by the history
+     * @param {string} key - State key
+     * @returns {boolean} True if changes to the key are recorded
+     * @private
+     */
+    isTracked(key) {
+        const { include, exclude } = this.history
+        return (!include || include.has(key)) && !exclude.has(key)
+    }
+
+    /**
+     * Copies the tracked keys of a state object
+     * @param {Object} state - State to copy from
+     * @returns {Object} Snapshot of the tracked keys
+     * @private
+     */
+    takeSnapshot(state) {
+        const snapshot = {}
+        for (const key of Object.keys(state)) {
+            if (this.isTracked(key)) {
+                snapshot[key] = state[key]
+            }
+        }
+        return snapshot
+    }
+
+    /**
+     * Records the state before a change as an undo step
+     * @param {Object} prevState - State before the change
+     * @param {Array<string>} changedKeys - Keys whose values changed
+     * @private
+     */
+    recordHistory(prevState, changedKeys) {
+        const history = this.history
+        if (!history || history.isRestoring || !changedKeys.some((key) => this.isTracked(key))) {
+            return
+        }
+        // A transaction is undone as one step, back to the state before it started
+        if (history.transactionDepth > 0) {
+            if (history.transactionRecorded) {
+                return
+            }
+            history.transactionRecorded = true
+        }
+        history.past.push(this.takeSnapshot(prevState))
+        if (history.past.length > history.limit) {
+            history.past.shift()
+        }
+        history.future = []
+    }
+
+    /**
+     * Replaces the tracked keys with a snapshot without recording an undo step
+     * @param {Object} snapshot - Snapshot to restore
+     * @private
+     */
+    restoreSnapshot(snapshot) {
+        const changes = { ...snapshot }
+        for (const key of Object.keys(this.state)) {
+            if (this.isTracked(key) && !(key in snapshot)) {
+                changes[key] = undefined
+            }
+        }
+        this.setStateUntracked(changes)
+    }
+
+    /**
+     * Updates the state without recording an undo step
+     * @param {Object} newVal - Object containing new state values to merge
+     * @param {boolean} [triggerUpdate=true] - Whether to notify listeners and subscriptions
+     * @returns {boolean} Same as setState
+     * @description For changes that are not the user's own action in this store,
+     * such as undo/redo themselves or changes received from another tab.
+     */
+    setStateUntracked(newVal, triggerUpdate = true) {
+        if (!this.history) {
+            return this.setState(newVal, triggerUpdate)
+        }
+        const wasRestoring = this.history.isRestoring
+        this.history.isRestoring = true
+        try {
+            return this.setState(newVal, triggerUpdate)
+        } finally {
+            this.history.isRestoring = wasRestoring
+        }
+    }
+
+    /**
+     * Reverts the last recorded change
+     * @returns {boolean} True if a change was undone, false if there was nothing to undo
+     */
+    undo() {
+        if (!this.canUndo()) {
+            return false
+        }
+        this.history.future.push(this.takeSnapshot(this.state))
+        this.restoreSnapshot(this.history.past.pop())
+        return true
+    }
+
+    /**
+     * Re-applies the last undone change
+     * @returns {boolean} True if a change was redone, false if there was nothing to redo
+     */
+    redo() {
+        if (!this.canRedo()) {
+            return false
+        }
+        this.history.past.push(this.takeSnapshot(this.state))
+        this.restoreSnapshot(this.history.future.pop())
+        return true
+    }
+
+    /**
+     * Checks whether there is a change to undo
+     * @returns {boolean} True if undo() would revert something
+     */
+    canUndo() {
+        return Boolean(this.history && this.history.past.length > 0)
+    }
+
+    /**
+     * Checks whether there is an undone change to redo
+     * @returns {boolean} True if redo() would re-apply something
+     */
+    canRedo() {
+        return Boolean(this.history && this.history.future.length > 0)
+    }
+
+    /**
+     * Forgets every recorded undo and redo step, e.g. after restoring saved state
+     */
+    clearHistory() {
+        if (this.history) {
+            this.history.past = []
+            this.history.future = []
+        }
+    }
+
+    /**
+     * Groups every change made by a function into a single undo step
+     * @param {Function} fn - Function making the changes; may return a promise
+     * @returns {*} Return value of fn; for async functions the group ends when the promise settles
+     * @example
+     * store.transaction(() => {
+     *     store.dispatch({ type: "todos/toggleAll" })
+     *     store.dispatch({ type: "todos/clearCompleted" })
+     * })
+     */
+    transaction(fn) {
+        const history = this.history
+        if (!history) {
+            return fn()
+        }
+        if (history.transactionDepth === 0) {
+            history.transactionRecorded = false
+        }
+        history.transactionDepth++
+        const end = () => {
+            history.transactionDepth--
+        }
+        let result
+        try {
+            result = fn()
+        } catch (error) {
+            end()
+            throw error
+        }
+        if (result && typeof result.then === "function") {
+            return result.finally(end)
+        }
+        end()
+        return result
     }
 
     /**
      * Updates the state with new values
      * @param {Object} newVal - Object containing new state values to merge
-     * @param {boolean} [triggerUpdate=true] - Whether to trigger listeners and update callbacks
+     * @param {boolean} [triggerUpdate=true] - Whether to notify listeners and subscriptions
      * @returns {boolean} True if state was updated successfully, false if newVal is invalid
+     * @throws {Error} Throws in development mode if newVal violates the schema
+     * @description Keys whose values are identical to the current ones are not
+     * changes; if nothing changed, nobody is notified. In development mode the
+     * stored values are deep-frozen, so mutate copies and pass them in here.
+     * Changes that violate the schema set by setSchema are rejected.
      */
     setState(newVal, triggerUpdate = true) {
         if (typeof newVal !== "object" || newVal === null) {
             return false // Ensure newVal is an object
         }
+        const computedKey = Object.keys(newVal).find((key) => this.computed.has(key))
+        if (computedKey) {
+            console.warn(`Computed value "${computedKey}" cannot be set`)
+            return false
+        }
+        const changedKeys = Object.keys(newVal).filter(
+            (key) => !(key in this.state) || !Object.is(this.state[key], newVal[key])
+        )
+        if (changedKeys.length === 0) {
+            return true
+        }
+        if (!this.reportInvalid(this.validate(newVal, changedKeys))) {
+            return false
+        }
+        const prevState = this.state
+        // Listeners compare computed values too, so they get a snapshot of the old state
+        const prevSnapshot = triggerUpdate ? this.getState() : prevState
+        this.recordHistory(prevState, changedKeys)
         this.state = { ...this.state, ...newVal } // Add more robust check
+        if (stateMode === "development") {
+            deepFreeze(this.state)
+        }
+        for (const observer of [...this.observers]) {
+            observer(prevState, this.state, changedKeys, triggerUpdate)
+        }
         if (triggerUpdate) {
-            this.update()
-            // Trigger DOM re-render
-            if (this.updateCallback) {
-                this.updateCallback()
-            }
+            this.update(prevSnapshot, this.getState(), changedKeys)
         }
         return true
     }
 
     /**
-     * Executes all registered listener functions
+     * Executes all registered listener functions and changed selector subscriptions
+     * @param {Object} prevState - State before the change
+     * @param {Object} nextState - State after the change
+     * @param {Array<string>} changedKeys - Keys whose values changed
      * @private
      */
-    update() {
+    update(prevState, nextState, changedKeys) {
         for (const listener of this.listeners) { // Fix: iterate over listeners correctly
-            listener()
+            listener(prevState, nextState, changedKeys)
+        }
+        for (const subscription of [...this.subscriptions]) {
+            const prevValue = subscription.value
+            const nextValue = subscription.select(nextState)
+            if (!subscription.equals(prevValue, nextValue)) {
+                subscription.value = nextValue
+                subscription.callback(nextValue, prevValue, { prevState, nextState, changedKeys })
+            }
         }
     }
 }
 
-/** @type {State} Global state instance used throughout the framework */
-export const globalStorage = new State()
\ No newline at end of file
+/** @type {Map<string, State>} Named stores created with createStore */
+const namedStores = new Map()
+
+/**
+ * Creates a named store that can be looked up and injected into apps
+ * @param {string} name - Unique store name
+ * @param {Object} [initialState={}] - Initial state, set without notifying anyone
+ * @returns {State} The new store
+ * @throws {Error} Throws if a store with this name already exists
+ * @example
+ * const session = createStore("session", { user: null })
+ * const app = createApp("#app", { store: "session" })
+ */
+export function createStore(name, initialState = {}) {
+    if (namedStores.has(name)) {
+        throw new Error(`Error: store "${name}" already exists`)
+    }
+    const store = new State()
+    store.setState(initialState, false)
+    namedStores.set(name, store)
+    return store
+}
+
+/**
+ * Returns a named store
+ * @param {string} name - Store name
+ * @returns {State|null} The store, or null if none has this name
+ */
+export function getStore(name) {
+    return namedStores.get(name) || null
+}
+
+/**
+ * Forgets a named store, e.g. between tests
+ * @param {string} name - Store name
+ * @returns {boolean} True if a store was removed
+ */
+export function removeStore(name) {
+    return namedStores.delete(name)
+}
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Cross-tab state synchronization for the mini-framework
+ * @version 0.0.1
+ * @author The Last of the Mohicans 2
+ */
+
+/** @type {Array<string>} Built-in conflict policies */
+const POLICIES = ["last-write-wins", "remote-wins"];
+
+/** @type {Array<string>} Supported transports */
+const TRANSPORTS = ["auto", "broadcast", "storage"];
+
+/**
+ * Creates a random identifier for this tab
+ * @private
+ */
+function createTabId() {
+  return Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+/**
+ * Orders two change stamps; the tab id breaks ties so every tab agrees
+ * @private
+ */
+function isNewer(stamp, other) {
+  if (!other) return true;
+  if (stamp.time !== other.time) return stamp.time > other.time;
+  return stamp.source > other.source;
+}
+
+/**
+ * Opens a BroadcastChannel, or falls back to localStorage `storage` events
+ * @param {string} name - Channel name
+ * @param {string} transport - "auto", "broadcast" or "storage"
+ * @param {Function} onMessage - Called with every message from other tabs
+ * @returns {{post: Function, close: Function}} Transport
+ * @private
+ */
+function openTransport(name, transport, onMessage) {
+  if (transport !== "storage" && typeof BroadcastChannel === "function") {
+    const channel = new BroadcastChannel(name);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+  if (transport === "broadcast") {
+    throw new Error("Error: BroadcastChannel is not available");
+  }
+  // Other tabs of the same origin receive a storage event for every write
+  const storageKey = `${name}:message`;
+  const onStorage = (event) => {
+    if (event.key === storageKey && event.newValue) {
+      onMessage(JSON.parse(event.newValue));
+    }
+  };
+  window.addEventListener("storage", onStorage);
+  return {
+    post: (message) => window.localStorage.setItem(storageKey, JSON.stringify(message)),
+    close: () => window.removeEventListener("storage", onStorage),
+  };
+}
+
+/**
+ * Shares changes of a whitelist of state keys with other tabs of the app
+ * @param {State} store - Store to synchronize
+ * @param {Object} options - Synchronization options
+ * @param {Array<string>} options.keys - State keys to share
+ * @param {string} [options.channel="mini-framework-sync"] - Channel name; tabs only sync within a channel
+ * @param {string|Function} [options.policy="last-write-wins"] - How incoming changes are merged:
+ * "last-write-wins" keeps the most recent write of each key, "remote-wins" always takes the
+ * incoming value, and a function is called with (key, { local, remote, localStamp, remoteStamp })
+ * and returns the value to keep
+ * @param {string} [options.transport="auto"] - "broadcast" (BroadcastChannel), "storage"
+ * (localStorage events) or "auto" to use BroadcastChannel when available
+ * @returns {{tabId: string, stop: Function}} Controller; stop() leaves the channel
+ * @throws {Error} Throws if no keys are given or an option is not supported
+ * @description Incoming changes are applied with the triggerUpdate flag of the
+ * setState call that made them, so silent changes stay silent in every tab.
+ * Changes applied from other tabs are not sent back, which avoids echo loops.
+ * @example
+ * syncState(store, { keys: ["todos", "nextId"] });
+ */
+export function syncState(store, options) {
+  const {
+    keys,
+    channel = "mini-framework-sync",
+    policy = "last-write-wins",
+    transport = "auto",
+  } = options || {};
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new Error("Error: syncState needs the list of keys to share");
+  }
+  if (typeof policy !== "function" && !POLICIES.includes(policy)) {
+    throw new Error(`Error: unknown conflict policy "${policy}"`);
+  }
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Error: unknown sync transport "${transport}"`);
+  }
+
+  const tabId = createTabId();
+  /** Stamp of the last write of each key this tab knows about */
+  const stamps = new Map();
+  let sequence = 0;
+  let applyingRemote = false;
+
+  const resolve = (key, remote, remoteStamp) => {
+    const localStamp = stamps.get(key);
+    if (typeof policy === "function") {
+      return { keep: true, value: policy(key, { local: store.state[key], remote, localStamp, remoteStamp }) };
+    }
+    if (policy === "remote-wins" || isNewer(remoteStamp, localStamp)) {
+      return { keep: true, value: remote };
+    }
+    return { keep: false };
+  };
+
+  const receive = (message) => {
+    if (!message || message.source === tabId || !message.changes) return;
+    const accepted = {};
+    for (const [key, remote] of Object.entries(message.changes)) {
+      if (!keys.includes(key)) continue;
+      const { keep, value } = resolve(key, remote, message.stamp);
+      if (keep) {
+        accepted[key] = value;
+        stamps.set(key, message.stamp);
+      }
+    }
+    applyingRemote = true;
+    try {
+      // Another tab's change is not an undo step of this tab
+      store.setStateUntracked(accepted, message.triggerUpdate);
+    } finally {
+      applyingRemote = false;
+    }
+  };
+
+  const channelTransport = openTransport(channel, transport, receive);
+
+  const unobserve = store.observe((prevState, nextState, changedKeys, triggerUpdate) => {
+    if (applyingRemote) return;
+    const shared = changedKeys.filter((key) => keys.includes(key));
+    if (shared.length === 0) return;
+    const stamp = { time: Date.now(), source: tabId };
+    const changes = {};
+    for (const key of shared) {
+      changes[key] = nextState[key];
+      stamps.set(key, stamp);
+    }
+    try {
+      channelTransport.post({ source: tabId, sequence: ++sequence, stamp, changes, triggerUpdate });
+    } catch (error) {
+      console.warn(`Could not share changes of ${shared.join(", ")} with other tabs`, error);
+    }
+  });
+
+  return {
+    tabId,
+    stop: () => {
+      unobserve();
+      channelTransport.close();
+    },
+  };
+}
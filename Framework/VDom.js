@@ -4,22 +4,38 @@
  * @author The Last of the Mohicans 2
  */
 
-import { globalStorage } from "./State.js";
+import { bindEvent, isEventAttribute, unbindEvent } from "./Events.js";
+import {
+  LATE_PROPERTIES,
+  LIVE_PROPERTIES,
+  htmlAttributes,
+  isBooleanAttribute,
+  removeDomAttribute,
+  setDomAttribute,
+} from "./Attributes.js";
+import { Component, isComponent } from "./Component.js";
+import { cancelJob } from "./Scheduler.js";
 
 /**
  * Creates a virtual DOM element object
- * @param {string} tag - HTML tag name for the element
- * @param {Object} attributes - Object containing element attributes and event handlers
+ * @param {string|Object} tag - HTML tag name for the element, FRAGMENT_TAG, or a component from defineComponent
+ * @param {Object} attributes - Object containing element attributes and event handlers (props for components)
  * @param {string} [innerText] - Text content for the element
- * @param {Array<Object>} children - Array of child virtual elements
+ * @param {Array<Object|string|number|null|boolean>} children - Array of child virtual elements;
+ * strings and numbers become text nodes, null, undefined and booleans are skipped
  * @returns {Object} Virtual element object with tag, attributes, innerText, and children
  * @throws {Error} Throws if any parameter validation fails
  * @example
  * const vElement = createVirtualElement('div', { class: 'container' }, 'Hello', []);
+ * const vItem = createVirtualElement(TodoItem, { key: todo.id, todo }, '', []);
+ * const vCount = createVirtualElement('span', {}, '', [
+ *   createVirtualElement('strong', {}, '2', []), ' items left',
+ *   isEmpty && createVirtualElement('em', {}, 'nothing to do', []),
+ * ]);
  */
 export function createVirtualElement(tag, attributes, innerText, children) {
   // More thorough check later (TODO)
-  if (!tag || typeof tag !== "string") {
+  if (!tag || (typeof tag !== "string" && !isComponent(tag))) {
     throw new Error("Error: tag is not a string");
   }
   if (!attributes || typeof attributes !== "object" || attributes === null) {
@@ -31,11 +47,23 @@ export function createVirtualElement(tag, attributes, innerText, children) {
   if (!children || !Array.isArray(children)) {
     throw new Error("Error: children is not an array");
   }
-  for (const child of children) {
+  const normalized = [];
+  if (tag === FRAGMENT_TAG && innerText) {
+    // A fragment has no element to hold text, so its text is a node of its own
+    normalized.push(createTextElement(innerText));
+    innerText = "";
+  }
+  for (let child of children) {
+    if (child === null || child === undefined || typeof child === "boolean") {
+      continue;
+    }
+    if (typeof child === "string" || typeof child === "number") {
+      child = createTextElement(child);
+    }
     if (
       typeof child !== "object" ||
       child === null ||
-      typeof child.tag !== "string" ||
+      (typeof child.tag !== "string" && !isComponent(child.tag)) ||
       !(child.attributes && child.attributes instanceof Object) ||
       !child.children ||
       !Array.isArray(child.children)
@@ -47,16 +75,301 @@ export function createVirtualElement(tag, attributes, innerText, children) {
         children
       );
     }
+    normalized.push(child);
   }
 
   return {
     tag: tag,
     attributes: attributes,
     innerText: innerText,
-    children: children,
+    children: normalized,
   };
 }
 
+/** @constant {string} Tag of virtual elements that stand for a bare text node */
+export const TEXT_TAG = "#text";
+
+/**
+ * Creates a virtual text node, for text that is a sibling of elements
+ * @param {string|number} text - Text content
+ * @returns {Object} Virtual element with the tag "#text"
+ * @example
+ * createVirtualElement('p', {}, 'Press ', [kbdElement, createTextElement(' to save')]);
+ */
+export function createTextElement(text) {
+  return { tag: TEXT_TAG, attributes: {}, innerText: String(text), children: [] };
+}
+
+/** @constant {string} Tag of virtual elements that render their children without a wrapper */
+export const FRAGMENT_TAG = "#fragment";
+
+/**
+ * Creates a fragment: its children are rendered as siblings, without a wrapper element
+ * @param {Array<Object|string|number|null|boolean>} children - Children, as for createVirtualElement
+ * @param {Object} [attributes={}] - Only `key` is used
+ * @returns {Object} Virtual element with the tag "#fragment"
+ * @example
+ * createFragment([createVirtualElement('dt', {}, term, []), createVirtualElement('dd', {}, text, [])]);
+ */
+export function createFragment(children, attributes = {}) {
+  return createVirtualElement(FRAGMENT_TAG, attributes, "", children);
+}
+
+/** @constant {string} Namespace of HTML elements */
+const HTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+
+/** @constant {string} Namespace of SVG elements */
+export const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/** @constant {string} Namespace of MathML elements */
+export const MATHML_NAMESPACE = "http://www.w3.org/1998/Math/MathML";
+
+/**
+ * Returns the namespace an element is created in: <svg> and <math> start their
+ * namespace, other tags inherit the namespace of their parent
+ * @param {string} tag - Tag name
+ * @param {Object} context - Render context of the parent
+ * @returns {string|null} Namespace URI, or null for HTML
+ * @private
+ */
+function namespaceOf(tag, context) {
+  if (tag === "svg") return SVG_NAMESPACE;
+  if (tag === "math") return MATHML_NAMESPACE;
+  return context.namespace || null;
+}
+
+/**
+ * Returns the render context for the children of an element
+ * @param {string} tag - Tag name of the element
+ * @param {string|null} namespace - Namespace of the element
+ * @param {Object} context - Render context of the element
+ * @returns {Object} Context whose namespace children inherit; foreignObject switches back to HTML
+ * @private
+ */
+function childContext(tag, namespace, context) {
+  const childNamespace = tag === "foreignObject" ? null : namespace;
+  return childNamespace === (context.namespace || null)
+    ? context
+    : { ...context, namespace: childNamespace };
+}
+
+/**
+ * Returns the namespace children of an existing DOM element are created in
+ * @private
+ */
+function namespaceOfChildren(element) {
+  const namespace = element.namespaceURI;
+  if (!namespace || namespace === HTML_NAMESPACE || element.localName === "foreignObject") {
+    return null;
+  }
+  return namespace;
+}
+
+/** @type {WeakMap<Element, Array<Object>>} Virtual DOM last rendered into each top element */
+const renderedTrees = new WeakMap();
+
+/**
+ * Attribute names consumed by the reconciler that are never written to the DOM
+ * @type {Set<string>}
+ */
+export const RESERVED_ATTRIBUTES = new Set([
+  "key",
+  "ref",
+  "onMount",
+  "onUpdate",
+  "onUnmount",
+]);
+
+/**
+ * Elements that never have content or a closing tag
+ * @type {Set<string>}
+ */
+export const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+/**
+ * Creates a ref object that receives the DOM element of the vnode it is passed to,
+ * or the component instance when passed to a component
+ * @returns {{current: Element|Component|null}} Ref whose current is set on mount and cleared on unmount
+ * @example
+ * const inputRef = createRef();
+ * createVirtualElement('input', { ref: inputRef }, '', []);
+ * // after render: inputRef.current.focus();
+ */
+export function createRef() {
+  return { current: null };
+}
+
+/**
+ * Hands a DOM element (or null) to a function or object ref
+ * @param {Function|Object|undefined} ref - Ref from a vnode's attributes
+ * @param {Element|null} element - Element to hand over
+ * @private
+ */
+function setRef(ref, element) {
+  if (typeof ref === "function") {
+    ref(element);
+  } else if (ref && typeof ref === "object") {
+    ref.current = element;
+  }
+}
+
+/**
+ * Queues a lifecycle callback to run once the render has reached the document
+ * @param {Object} context - Render context; callbacks run immediately if it has no queue
+ * @param {Function} callback - Callback to run
+ * @private
+ */
+function enqueueLifecycle(context, callback) {
+  if (context.queue) {
+    context.queue.push(callback);
+  } else {
+    callback();
+  }
+}
+
+/**
+ * Runs the lifecycle callbacks queued during a render
+ * @param {Object} context - Render context whose queue is flushed
+ * @description Callbacks run in queue order, children before their parents.
+ * A failing callback is reported without stopping the others.
+ */
+export function flushLifecycle(context) {
+  const queue = context.queue || [];
+  context.queue = [];
+  for (const callback of queue) {
+    try {
+      callback();
+    } catch (error) {
+      console.error("Error in lifecycle hook:", error);
+    }
+  }
+}
+
+/**
+ * Runs an unmount hook, reporting errors like flushLifecycle does
+ * @private
+ */
+function runUnmountHook(hook, arg) {
+  try {
+    hook(arg);
+  } catch (error) {
+    console.error("Error in lifecycle hook:", error);
+  }
+}
+
+/**
+ * Runs unmount hooks and clears refs for a virtual element and its descendants
+ * @param {Object} elem - Virtual element whose DOM is about to be removed
+ * @description A failing hook is reported without stopping the removal.
+ */
+export function unmountElement(elem) {
+  if (isComponent(elem.tag)) {
+    const instance = elem.instance;
+    instance.isMounted = false;
+    if (typeof instance.definition.onUnmount === "function") {
+      runUnmountHook(instance.definition.onUnmount, instance);
+    }
+    setRef(elem.attributes.ref, null);
+    unmountElement(instance.rendered);
+    return;
+  }
+  if (typeof elem.attributes.onUnmount === "function") {
+    runUnmountHook(elem.attributes.onUnmount, elem.domElement);
+  }
+  setRef(elem.attributes.ref, null);
+  elem.children.forEach(unmountElement);
+}
+
+/**
+ * Returns the DOM node currently rendered for a virtual element
+ * @param {Object} elem - Virtual element that has been rendered
+ * @returns {Node} DOM node; for components, the node of their rendered output;
+ * for fragments, their first node
+ */
+export function getDomNode(elem) {
+  return getDomNodes(elem)[0];
+}
+
+/**
+ * Returns every top-level DOM node rendered for a virtual element, in document order
+ * @param {Object} elem - Virtual element that has been rendered
+ * @returns {Array<Node>} One node, or for fragments the nodes of their children
+ * followed by the empty text node that marks the fragment's end
+ */
+export function getDomNodes(elem) {
+  if (isComponent(elem.tag)) {
+    return getDomNodes(elem.instance.rendered);
+  }
+  if (elem.tag === FRAGMENT_TAG) {
+    return [...elem.children.flatMap(getDomNodes), elem.anchor];
+  }
+  return [elem.domElement];
+}
+
+/**
+ * Creates a component instance for a component virtual element and renders it
+ * @param {Object} elem - Virtual element whose tag is a component
+ * @param {Object} context - Render context shared by the whole tree
+ * @returns {Node} DOM node of the component output
+ * @private
+ */
+function mountComponent(elem, context) {
+  const instance = new Component(elem.tag, elem.attributes, elem.children, context);
+  elem.instance = instance;
+  const rendered = instance.render();
+  const node = elementToHtmlElement(rendered, context);
+  instance.rendered = rendered;
+  instance.isMounted = true;
+  // A ref on a component receives the component instance
+  setRef(elem.attributes.ref, instance);
+  if (typeof elem.tag.onMount === "function") {
+    enqueueLifecycle(context, () => elem.tag.onMount(instance));
+  }
+  return node;
+}
+
+/**
+ * Re-renders a mounted component with the props of a new virtual element
+ * @param {Object} oldElem - Component virtual element from the previous render
+ * @param {Object} newElem - Component virtual element from the current render
+ * @param {Object} context - Render context shared by the whole tree
+ * @returns {Node} DOM node of the component output
+ * @private
+ */
+function updateComponent(oldElem, newElem, context) {
+  const instance = oldElem.instance;
+  newElem.instance = instance;
+  // This render covers any scoped re-render the component had queued
+  cancelJob(instance.updateJob);
+  instance.props = newElem.attributes;
+  instance.children = newElem.children;
+  instance.context = context;
+  const rendered = instance.render();
+  const node = patchElement(instance.rendered, rendered, context);
+  instance.rendered = rendered;
+  if (oldElem.attributes.ref !== newElem.attributes.ref) {
+    setRef(oldElem.attributes.ref, null);
+    setRef(newElem.attributes.ref, instance);
+  }
+  if (typeof newElem.tag.onUpdate === "function") {
+    enqueueLifecycle(context, () => newElem.tag.onUpdate(instance));
+  }
+  return node;
+}
 
 /**
  * Converts a virtual element object to an actual HTML DOM element
@@ -65,19 +378,45 @@ export function createVirtualElement(tag, attributes, innerText, children) {
  * @param {Object} elem.attributes - Element attributes and event handlers
  * @param {string} [elem.innerText] - Text content
  * @param {Array<Object>} elem.children - Array of child virtual elements
+ * @param {Object} [context={}] - Render context shared by the whole tree
+ * @param {Element|null} [context.delegateRoot] - Root that event handlers are delegated to, if any
+ * @param {Array<Function>} [context.queue] - Queue collecting onMount hooks until the tree is attached
+ * @param {string|null} [context.namespace] - Namespace inherited from the parent, null for HTML
  * @returns {HTMLElement} Created DOM element with all attributes and children applied
  * @throws {Error} Throws if elem is not an object or attributes are invalid
+ * @description The created element (and its text node, if any) is stored on the
+ * virtual element so that later renders can patch it in place. A `ref` attribute
+ * receives the element right away; `onMount` is queued on the context, or called
+ * immediately when the context has no queue. `svg` and `math` elements and
+ * their descendants are created in the SVG and MathML namespaces, except below
+ * a `foreignObject`, whose children are HTML again.
  */
-export function elementToHtmlElement(elem) {
+export function elementToHtmlElement(elem, context = {}) {
   if (typeof elem !== "object") {
     throw new Error(`Error: ${elem} is not an object`);
   }
-  // Fix: use elem.tag instead of elem.state.tag
-  const returnElement = document.createElement(elem.tag);
-
-  if (elem.innerText) {
-    returnElement.innerText = elem.innerText;
+  if (isComponent(elem.tag)) {
+    return mountComponent(elem, context);
   }
+  if (elem.tag === TEXT_TAG) {
+    elem.domElement = document.createTextNode(elem.innerText || "");
+    return elem.domElement;
+  }
+  if (elem.tag === FRAGMENT_TAG) {
+    const fragment = document.createDocumentFragment();
+    elem.children.forEach((child) => {
+      fragment.appendChild(elementToHtmlElement(child, context));
+    });
+    // Marks where the fragment ends, so it can be patched even when empty
+    elem.anchor = document.createTextNode("");
+    fragment.appendChild(elem.anchor);
+    return fragment;
+  }
+  // Fix: use elem.tag instead of elem.state.tag
+  const namespace = namespaceOf(elem.tag, context);
+  const returnElement = namespace
+    ? document.createElementNS(namespace, elem.tag)
+    : document.createElement(elem.tag);
 
   if (
     !elem.attributes ||
@@ -89,82 +428,548 @@ export function elementToHtmlElement(elem) {
     throw new Error("Error: elem.attributes is not a plain object");
   }
 
-  for (const [attrName, attrValue] of Object.entries(elem.attributes)) {
-    // Check if the attribute is an event handler
-    if (attrName.startsWith("on") && typeof attrValue === "function") {
-      // Handle event listeners
-      const eventName = attrName.substring(2).toLowerCase();
-      returnElement.addEventListener(eventName, attrValue);
-    } else if (attrName === "checked") {
-      // Special handling for checkbox checked state
-      if (attrValue) {
-        returnElement.checked = true;
-        returnElement.setAttribute("checked", "checked");
-      } else {
-        returnElement.checked = false;
-        returnElement.removeAttribute("checked");
-      }
-    } else if (attrValue !== null && attrValue !== undefined) {
-      // Handle regular attributes
-      returnElement.setAttribute(attrName, attrValue.toString());
-    }
+  // Text lives in its own node so it can be patched without touching children
+  elem.textNode = null;
+  if (elem.innerText) {
+    elem.textNode = document.createTextNode(elem.innerText);
+    returnElement.appendChild(elem.textNode);
   }
 
+  applyAttributes(returnElement, elem.attributes, context, false);
+  const innerContext = childContext(elem.tag, namespace, context);
   elem.children.forEach((child) => {
-    returnElement.appendChild(elementToHtmlElement(child));
+    returnElement.appendChild(elementToHtmlElement(child, innerContext));
   });
+  applyAttributes(returnElement, elem.attributes, context, true);
+  elem.domElement = returnElement;
+
+  setRef(elem.attributes.ref, returnElement);
+  if (typeof elem.attributes.onMount === "function") {
+    enqueueLifecycle(context, () => elem.attributes.onMount(returnElement));
+  }
   return returnElement;
 }
 
 /**
- * Updates the DOM by replacing all content with new virtual elements
+ * Reports a difference between existing markup and the virtual DOM being hydrated
+ * @private
+ */
+function warnMismatch(message) {
+  console.warn(`Hydration mismatch: ${message}`);
+}
+
+/**
+ * Describes a DOM node or virtual element for hydration warnings
+ * @private
+ */
+function describe(nodeOrElem) {
+  if (!nodeOrElem) return "nothing";
+  if (isComponent(nodeOrElem.tag)) return `<${nodeOrElem.tag.name}>`;
+  if (nodeOrElem.tag === TEXT_TAG) return `text "${nodeOrElem.innerText}"`;
+  if (typeof nodeOrElem.tag === "string") return `<${nodeOrElem.tag}>`;
+  if (nodeOrElem.nodeType === Node.TEXT_NODE) return `text "${nodeOrElem.data}"`;
+  return `<${nodeOrElem.tagName.toLowerCase()}>`;
+}
+
+/**
+ * Adopts an existing DOM element, e.g. from server-rendered markup, for a virtual element
+ * @param {Object} elem - Virtual element describing the element
+ * @param {Node} node - Existing DOM node at the same position
+ * @param {Object} [context={}] - Render context shared by the whole tree
+ * @returns {Node} The adopted node, or a new one if the existing node did not match;
+ * for fragments, the end marker placed after their children
+ * @description Event handlers and refs are attached and onMount is queued like
+ * on a normal mount, but matching nodes are reused instead of recreated.
+ * Differences are reported with console.warn and fixed: a node with the wrong
+ * tag is replaced, text and attributes are corrected, and extra children are removed.
+ */
+export function hydrateElement(elem, node, context = {}) {
+  if (typeof elem !== "object" || elem === null) {
+    throw new Error(`Error: ${elem} is not an object`);
+  }
+  if (isComponent(elem.tag)) {
+    const instance = new Component(elem.tag, elem.attributes, elem.children, context);
+    elem.instance = instance;
+    const rendered = instance.render();
+    const hydrated = hydrateElement(rendered, node, context);
+    instance.rendered = rendered;
+    instance.isMounted = true;
+    setRef(elem.attributes.ref, instance);
+    if (typeof elem.tag.onMount === "function") {
+      enqueueLifecycle(context, () => elem.tag.onMount(instance));
+    }
+    return hydrated;
+  }
+  if (elem.tag === TEXT_TAG && node.nodeType === Node.TEXT_NODE) {
+    const text = elem.innerText || "";
+    if (node.data !== text && node.data.startsWith(text)) {
+      // Adjacent text from the server arrives as one node
+      node.splitText(text.length);
+    } else if (node.data !== text) {
+      warnMismatch(`${describe(node)}, expected "${text}"`);
+      node.data = text;
+    }
+    elem.domElement = node;
+    return node;
+  }
+  if (elem.tag === FRAGMENT_TAG) {
+    const parent = node.parentNode;
+    const next = hydrateNodes(parent, elem.children, context, node);
+    elem.anchor = document.createTextNode("");
+    parent.insertBefore(elem.anchor, next);
+    return elem.anchor;
+  }
+  if (elem.tag === TEXT_TAG || node.nodeType !== Node.ELEMENT_NODE || node.tagName.toLowerCase() !== elem.tag.toLowerCase()) {
+    warnMismatch(`expected ${describe(elem)}, found ${describe(node)}`);
+    const created = elementToHtmlElement(elem, context);
+    node.replaceWith(created);
+    return created;
+  }
+
+  elem.textNode = null;
+  if (elem.innerText) {
+    const first = node.firstChild;
+    if (first && first.nodeType === Node.TEXT_NODE) {
+      if (first.data !== elem.innerText) {
+        warnMismatch(`text of ${describe(elem)} is "${first.data}", expected "${elem.innerText}"`);
+        first.data = elem.innerText;
+      }
+      elem.textNode = first;
+    } else {
+      warnMismatch(`${describe(elem)} is missing its text "${elem.innerText}"`);
+      elem.textNode = document.createTextNode(elem.innerText);
+      node.insertBefore(elem.textNode, first);
+    }
+  }
+
+  // Attributes the DOM renderer would have written; boolean ones only need to be present
+  const expected = new Map();
+  for (const [attrName, attrValue] of Object.entries(elem.attributes)) {
+    if (RESERVED_ATTRIBUTES.has(attrName) || isEventAttribute(attrName, attrValue)) {
+      continue;
+    }
+    for (const [name, value] of htmlAttributes(attrName, attrValue)) {
+      expected.set(name, isBooleanAttribute(name) ? null : value);
+    }
+  }
+  for (const { name, value } of [...node.attributes]) {
+    if (!expected.has(name)) {
+      warnMismatch(`unexpected attribute ${name}="${value}" on ${describe(elem)}`);
+      node.removeAttribute(name);
+    } else if (expected.get(name) !== null && expected.get(name) !== value) {
+      warnMismatch(`${name} of ${describe(elem)} is "${value}", expected "${expected.get(name)}"`);
+    }
+  }
+  applyAttributes(node, elem.attributes, context, false);
+  hydrateChildren(
+    node,
+    elem.children,
+    childContext(elem.tag, namespaceOf(elem.tag, context), context),
+    elem.textNode
+  );
+  applyAttributes(node, elem.attributes, context, true);
+  elem.domElement = node;
+
+  setRef(elem.attributes.ref, node);
+  if (typeof elem.attributes.onMount === "function") {
+    enqueueLifecycle(context, () => elem.attributes.onMount(node));
+  }
+  return node;
+}
+
+/**
+ * Skips comments, and whitespace-only text unless a text node is expected
+ * @private
+ */
+function skipIgnorable(node, keepText) {
+  while (
+    node &&
+    (node.nodeType === Node.COMMENT_NODE ||
+      (node.nodeType === Node.TEXT_NODE && !keepText && !node.data.trim()))
+  ) {
+    node = node.nextSibling;
+  }
+  return node;
+}
+
+/**
+ * Adopts consecutive DOM nodes, starting at a node, for a list of virtual elements
+ * @param {Element} parent - Parent of the nodes
+ * @param {Array<Object>} children - Virtual elements, in order
+ * @param {Object} context - Render context shared by the whole tree
+ * @param {Node|null} node - First node to adopt
+ * @returns {Node|null} First node that was not adopted
+ * @private
+ */
+function hydrateNodes(parent, children, context, node) {
+  for (const child of children) {
+    if (child.tag === TEXT_TAG && !child.innerText) {
+      // Empty text has no markup to adopt, so the next node belongs to the next child
+      child.domElement = document.createTextNode("");
+      parent.insertBefore(child.domElement, node);
+      continue;
+    }
+    node = skipIgnorable(node, child.tag === TEXT_TAG);
+    if (node) {
+      node = hydrateElement(child, node, context).nextSibling;
+    } else {
+      warnMismatch(`${describe(child)} is missing from ${describe(parent)}`);
+      parent.appendChild(elementToHtmlElement(child, context));
+    }
+  }
+  return node;
+}
+
+/**
+ * Adopts the child nodes of a DOM node for a list of virtual elements
+ * @param {Element} parent - Node whose existing children are adopted
+ * @param {Array<Object>} children - Virtual elements, in order
+ * @param {Object} context - Render context shared by the whole tree
+ * @param {Text|null} [textNode=null] - Leading text node already adopted for the parent's innerText
+ * @private
+ */
+function hydrateChildren(parent, children, context, textNode = null) {
+  let node = hydrateNodes(parent, children, context, textNode ? textNode.nextSibling : parent.firstChild);
+  for (let extra = skipIgnorable(node); extra; extra = skipIgnorable(node)) {
+    node = extra.nextSibling;
+    warnMismatch(`unexpected ${describe(extra)} in ${describe(parent)}`);
+    extra.remove();
+  }
+}
+
+/**
+ * Applies a single virtual attribute to a DOM element
+ * @param {HTMLElement} element - Element to update
+ * @param {string} attrName - Attribute name
+ * @param {*} attrValue - New attribute value
+ * @param {*} [oldValue] - Value applied by the previous render, if any
+ * @param {Object} [context={}] - Render context shared by the whole tree
+ * @private
+ */
+function setElementAttribute(element, attrName, attrValue, oldValue, context = {}) {
+  if (RESERVED_ATTRIBUTES.has(attrName)) {
+    return;
+  }
+  if (
+    isEventAttribute(attrName, oldValue) &&
+    !isEventAttribute(attrName, attrValue)
+  ) {
+    unbindEvent(element, attrName);
+  }
+  // Check if the attribute is an event handler
+  if (isEventAttribute(attrName, attrValue)) {
+    // Binding again only swaps the handler recorded for this element
+    bindEvent(element, attrName, attrValue, context.delegateRoot || null);
+  } else {
+    // Properties, class/style objects and dataset/aria maps, see Attributes.js
+    setDomAttribute(element, attrName, attrValue, isEventAttribute(attrName, oldValue) ? undefined : oldValue);
+  }
+}
+
+/**
+ * Applies the attributes of a new element, before or after its children exist
+ * @param {HTMLElement} element - Element to update
+ * @param {Object} attributes - Virtual element attributes
+ * @param {Object} context - Render context shared by the whole tree
+ * @param {boolean} late - Whether to apply only LATE_PROPERTIES, or everything else
+ * @private
+ */
+function applyAttributes(element, attributes, context, late) {
+  for (const [attrName, attrValue] of Object.entries(attributes)) {
+    if (LATE_PROPERTIES.has(attrName) === late) {
+      setElementAttribute(element, attrName, attrValue, undefined, context);
+    }
+  }
+}
+
+/**
+ * Removes a virtual attribute that is no longer present from a DOM element
+ * @param {HTMLElement} element - Element to update
+ * @param {string} attrName - Attribute name
+ * @param {*} oldValue - Value applied by the previous render
+ * @private
+ */
+function removeElementAttribute(element, attrName, oldValue) {
+  if (RESERVED_ATTRIBUTES.has(attrName)) {
+    return;
+  }
+  if (isEventAttribute(attrName, oldValue)) {
+    unbindEvent(element, attrName);
+  } else {
+    removeDomAttribute(element, attrName, oldValue);
+  }
+}
+
+/**
+ * Returns the reconciliation key of a virtual element
+ * @param {Object} elem - Virtual element
+ * @returns {string|undefined} Key as a string, or undefined for unkeyed elements
+ * @private
+ */
+function getKey(elem) {
+  const key = elem.attributes.key;
+  return key === null || key === undefined ? undefined : String(key);
+}
+
+/**
+ * Checks whether a previous virtual element can be patched into a new one
+ * @param {Object} oldElem - Virtual element from the previous render
+ * @param {Object} newElem - Virtual element from the current render
+ * @returns {boolean} True if both share the same tag and key
+ * @private
+ */
+function isSameElement(oldElem, newElem) {
+  return oldElem.tag === newElem.tag && getKey(oldElem) === getKey(newElem);
+}
+
+/**
+ * Patches an existing DOM element so it matches a new virtual element
+ * @param {Object} oldElem - Virtual element that produced the current DOM element
+ * @param {Object} newElem - Virtual element describing the desired DOM
+ * @param {Object} [context={}] - Render context shared by the whole tree
+ * @returns {HTMLElement} The patched DOM element
+ * @description Elements with a different tag or key are replaced entirely;
+ * everything else is updated in place. Components of the same definition keep
+ * their instance, and with it their local state. Replaced elements run their
+ * unmount hooks; patched ones queue `onUpdate`.
+ */
+export function patchElement(oldElem, newElem, context = {}) {
+  const element = getDomNode(oldElem);
+  if (oldElem === newElem) {
+    return element;
+  }
+  if (!isSameElement(oldElem, newElem)) {
+    const oldNodes = getDomNodes(oldElem);
+    const parent = element.parentNode;
+    unmountElement(oldElem);
+    parent.insertBefore(elementToHtmlElement(newElem, context), element);
+    oldNodes.forEach((node) => parent.removeChild(node));
+    return getDomNode(newElem);
+  }
+  if (isComponent(newElem.tag)) {
+    return updateComponent(oldElem, newElem, context);
+  }
+  if (newElem.tag === FRAGMENT_TAG) {
+    newElem.anchor = oldElem.anchor;
+    patchChildren(oldElem.anchor.parentNode, oldElem.children, newElem.children, context, oldElem.anchor);
+    return getDomNode(newElem);
+  }
+
+  newElem.domElement = element;
+  if (newElem.tag === TEXT_TAG) {
+    if (oldElem.innerText !== newElem.innerText) {
+      element.nodeValue = newElem.innerText || "";
+    }
+    return element;
+  }
+  patchAttributes(element, oldElem.attributes, newElem.attributes, context, false);
+  patchText(element, oldElem, newElem);
+  patchChildren(
+    element,
+    oldElem.children,
+    newElem.children,
+    childContext(newElem.tag, namespaceOf(newElem.tag, context), context)
+  );
+  patchAttributes(element, oldElem.attributes, newElem.attributes, context, true);
+
+  if (oldElem.attributes.ref !== newElem.attributes.ref) {
+    setRef(oldElem.attributes.ref, null);
+    setRef(newElem.attributes.ref, element);
+  }
+  if (typeof newElem.attributes.onUpdate === "function") {
+    enqueueLifecycle(context, () => newElem.attributes.onUpdate(element));
+  }
+  return element;
+}
+
+/**
+ * Updates the DOM attributes of an element from the previous to the new set
+ * @param {HTMLElement} element - Element to update
+ * @param {Object} oldAttributes - Attributes from the previous render
+ * @param {Object} newAttributes - Attributes from the current render
+ * @param {Object} context - Render context shared by the whole tree
+ * @param {boolean} late - Whether to patch only LATE_PROPERTIES, which wait for
+ * the children, or everything else
+ * @private
+ */
+function patchAttributes(element, oldAttributes, newAttributes, context, late) {
+  for (const [attrName, oldValue] of Object.entries(oldAttributes)) {
+    if (LATE_PROPERTIES.has(attrName) === late && !(attrName in newAttributes)) {
+      removeElementAttribute(element, attrName, oldValue);
+    }
+  }
+  for (const [attrName, attrValue] of Object.entries(newAttributes)) {
+    if (LATE_PROPERTIES.has(attrName) !== late) {
+      continue;
+    }
+    const oldValue = oldAttributes[attrName];
+    // Properties such as value and checked are user-editable, so they are always re-synced
+    if (attrValue !== oldValue || LIVE_PROPERTIES.has(attrName)) {
+      setElementAttribute(element, attrName, attrValue, oldValue, context);
+    }
+  }
+}
+
+/**
+ * Updates the leading text node of an element
+ * @param {HTMLElement} element - Element to update
+ * @param {Object} oldElem - Virtual element from the previous render
+ * @param {Object} newElem - Virtual element from the current render
+ * @private
+ */
+function patchText(element, oldElem, newElem) {
+  const textNode = oldElem.textNode;
+  newElem.textNode = textNode;
+  if (oldElem.innerText === newElem.innerText) {
+    return;
+  }
+  if (!newElem.innerText) {
+    if (textNode) {
+      element.removeChild(textNode);
+    }
+    newElem.textNode = null;
+  } else if (textNode) {
+    textNode.nodeValue = newElem.innerText;
+  } else {
+    newElem.textNode = document.createTextNode(newElem.innerText);
+    element.insertBefore(newElem.textNode, element.firstChild);
+  }
+}
+
+/**
+ * Reconciles the children of a DOM element against a new list of virtual elements
+ * @param {HTMLElement} parent - Element whose children are patched
+ * @param {Array<Object>} oldChildren - Virtual children from the previous render
+ * @param {Array<Object>} newChildren - Virtual children from the current render
+ * @param {Object} [context={}] - Render context shared by the whole tree
+ * @param {Node|null} [endNode=null] - Node the children are placed before; null places them last,
+ * a fragment passes its end marker
+ * @description Keyed children are matched by their `key` attribute and moved
+ * rather than recreated; unkeyed children are matched in order. Components are
+ * matched the same way, so their state survives reconciliation.
+ */
+export function patchChildren(parent, oldChildren, newChildren, context = {}, endNode = null) {
+  const keyed = new Map();
+  const unkeyed = [];
+  for (const child of oldChildren) {
+    const key = getKey(child);
+    if (key === undefined) {
+      unkeyed.push(child);
+    } else {
+      keyed.set(key, child);
+    }
+  }
+
+  let unkeyedIndex = 0;
+  const used = new Set();
+  newChildren.forEach((child) => {
+    const key = getKey(child);
+    let match;
+    if (key === undefined) {
+      match = unkeyed[unkeyedIndex++];
+    } else {
+      match = keyed.get(key);
+    }
+    if (match && !used.has(match) && isSameElement(match, child)) {
+      used.add(match);
+      patchElement(match, child, context);
+    } else {
+      // Created nodes are placed below, out of their document fragment if any
+      elementToHtmlElement(child, context);
+    }
+  });
+
+  for (const child of oldChildren) {
+    if (!used.has(child)) {
+      const nodes = getDomNodes(child);
+      unmountElement(child);
+      for (const node of nodes) {
+        if (node.parentNode === parent) {
+          parent.removeChild(node);
+        }
+      }
+    }
+  }
+
+  // Walk backwards so every node can be placed before its next sibling
+  let nextNode = endNode;
+  for (let i = newChildren.length - 1; i >= 0; i--) {
+    const nodes = getDomNodes(newChildren[i]);
+    for (let j = nodes.length - 1; j >= 0; j--) {
+      if (nodes[j].parentNode !== parent || nodes[j].nextSibling !== nextNode) {
+        parent.insertBefore(nodes[j], nextNode);
+      }
+      nextNode = nodes[j];
+    }
+  }
+}
+
+/**
+ * Updates the DOM to match a new list of virtual elements
  * @param {HTMLElement} [topElement=document.body] - Root element to update
  * @param {Array<Object>} attachElements - Array of virtual elements to render
+ * @param {Object} [options={}] - Render options
+ * @param {boolean} [options.delegateEvents=false] - Delegate event handlers to topElement instead of binding them per element
+ * @param {boolean} [options.hydrate=false] - Adopt the existing content on the first render, see hydrateElement
  * @throws {Error} Throws if attachElements is not an array or contains invalid elements
+ * @description The first render into an element replaces its content, or
+ * adopts it when hydrating; later renders diff against the previous virtual
+ * DOM and patch the changes in place.
  */
-export function updateDom(topElement = document.body, attachElements) {
+export function updateDom(topElement = document.body, attachElements, options = {}) {
   if (!attachElements || !Array.isArray(attachElements)) {
     throw new Error("Error: attachElements is not an array");
   }
-  for (const element of attachElements) {
-    if (typeof element !== "object") {
-      throw new Error("Error: element is not an object");
-    }
-  }
+  // Same rules as children: text becomes text nodes, null and false are skipped
+  attachElements = createFragment(attachElements).children;
 
-  globalStorage.setState(
-    {
-      vDOM: attachElements,
-      topElement: topElement,
-    },
-    false
-  );
-  topElement.innerHTML = "";
-  for (const element of attachElements) {
-    topElement.appendChild(elementToHtmlElement(element));
+  const previousVDom = renderedTrees.get(topElement);
+  const context = {
+    delegateRoot: options.delegateEvents ? topElement : null,
+    namespace: namespaceOfChildren(topElement),
+    queue: [],
+  };
+  try {
+    if (previousVDom) {
+      patchChildren(topElement, previousVDom, attachElements, context);
+    } else if (options.hydrate) {
+      hydrateChildren(topElement, attachElements, context);
+    } else {
+      topElement.innerHTML = "";
+      for (const element of attachElements) {
+        topElement.appendChild(elementToHtmlElement(element, context));
+      }
+    }
+  } catch (error) {
+    // A half-patched tree cannot be diffed against, so the next render rebuilds from scratch
+    renderedTrees.delete(topElement);
+    throw error;
   }
+  renderedTrees.set(topElement, attachElements);
+  flushLifecycle(context);
 }
 
 /**
  * Finds an element using any CSS selector
  * @param {string} selector - CSS selector string
- * @param {Element} [rootElement=null] - Root element to search within, defaults to app root
+ * @param {Element} [rootElement=null] - Root element to search within, defaults to document.body
  * @returns {Element|null} Found element or null if not found
  */
 export function findElement(selector, rootElement = null) {
-  const searchRoot =
-    rootElement || globalStorage.getState().topElement || document.body;
+  const searchRoot = rootElement || document.body;
   return searchRoot.querySelector(selector);
 }
 
 /**
  * Sets focus on an element with optional cursor positioning
- * @param {string} selector - CSS selector for the element to focus
+ * @param {string|Element} selector - CSS selector for the element to focus, or the element itself
  * @param {string} [cursorPosition='default'] - Cursor position: 'default', 'end', or 'select'
+ * @param {Element} [rootElement=null] - Root element to search within, defaults to document.body
  * @returns {boolean} True if element was found and focused, false otherwise
  */
-export function focusElement(selector, cursorPosition = "default") {
-  const element = findElement(selector);
+export function focusElement(selector, cursorPosition = "default", rootElement = null) {
+  const element =
+    typeof selector === "string" ? findElement(selector, rootElement) : selector;
   if (element && typeof element.focus === "function") {
     element.focus();
 
@@ -0,0 +1,75 @@
+// State changes of the TodoApp, one reducer per action type.
+// Each reducer receives the current state and the action and returns the
+// state values to merge, so every change is named and testable on its own.
+
+const reducers = {
+    // Appends a new todo with the next free id
+    "todos/add": (state, action) => ({
+        todos: [
+            ...state.todos,
+            { id: state.nextId, title: action.title, completed: false },
+        ],
+        nextId: state.nextId + 1,
+    }),
+
+    // Toggles completion status of a single todo
+    "todos/toggle": (state, action) => ({
+        todos: (state.todos || []).map((todo) =>
+            todo.id === action.id ? { ...todo, completed: !todo.completed } : todo
+        ),
+    }),
+
+    // Marks all todos complete, or all incomplete if they already are
+    "todos/toggleAll": (state) => ({
+        todos: (state.todos || []).map((todo) => ({
+            ...todo,
+            completed: !state.allCompleted,
+        })),
+    }),
+
+    // Renames a todo and leaves editing mode
+    "todos/rename": (state, action) => ({
+        todos: (state.todos || []).map((todo) =>
+            todo.id === action.id ? { ...todo, title: action.title } : todo
+        ),
+        editingId: null,
+        focusEditTodo: null,
+        editDraft: null,
+    }),
+
+    // Removes a todo by id
+    "todos/remove": (state, action) => ({
+        todos: (state.todos || []).filter((todo) => todo.id !== action.id),
+    }),
+
+    // Removes all completed todos
+    "todos/clearCompleted": (state) => ({
+        todos: (state.todos || []).filter((todo) => !todo.completed),
+    }),
+
+    // Sets the current todo filter ('all', 'active', 'completed')
+    "filter/set": (state, action) => ({ filter: action.filter }),
+
+    // Enters editing mode for a todo
+    "edit/start": (state, action) => ({
+        editingId: action.id,
+        focusEditTodo: action.id,
+        editDraft: null,
+    }),
+
+    // Keeps the title being typed, so re-renders cannot lose it
+    "edit/draft": (state, action) => ({ editDraft: action.title }),
+
+    // Leaves editing mode without saving
+    "edit/cancel": () => ({ editingId: null, focusEditTodo: null, editDraft: null }),
+};
+
+// Registers every TodoApp reducer on the given app
+function registerReducers(app) {
+    for (const [type, reducer] of Object.entries(reducers)) {
+        app.addReducer(type, reducer);
+    }
+    return app;
+}
+
+export { reducers, registerReducers };
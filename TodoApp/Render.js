@@ -1,6 +1,6 @@
-import { app } from "./StartApp.js";
-import { handleNewTodoKeydown, handleToggleAll, handleEditKeydown, clearCompletedTodos, toggleTodo, editTodo, startEdit, removeTodo } from "./Utils.js";
-import { createVirtualElement } from "../Framework/VDom.js";
+import { app } from "./TodoApp.js";
+import { handleNewTodoKeydown, handleToggleAll, handleEditKeydown, handleEditBlur, handleEditInput, clearCompletedTodos, toggleTodo, editTodo, startEdit, removeTodo } from "./Utils.js";
+import { createVirtualElement, focusElement } from "../Framework/VDom.js";
 
 // Renders the header section with title and new todo input
 function renderHeader() {
@@ -13,7 +13,7 @@ function renderHeader() {
             {
                 class: "new-todo",
                 placeholder: "What needs to be done?",
-                autofocus: "",
+                autofocus: true,
                 onkeydown: handleNewTodoKeydown,
             },
             "",
@@ -26,21 +26,14 @@ function renderHeader() {
 function renderMain(visibleTodos) {
     const state = app.getState();
 
+    // Nothing to show without todos; null children are skipped
     if (!state.todos || state.todos.length === 0) {
-        return createVirtualElement(
-            "main",
-            { class: "main", style: "display: none;" },
-            "",
-            []
-        );
+        return null;
     }
 
-    const allCompleted =
-        state.todos.length > 0 && state.todos.every((todo) => todo.completed);
-
     return createVirtualElement(
         "main",
-        { class: "main", style: "display: block;" },
+        { class: "main" },
         "",
         [
             createVirtualElement("div", { class: "toggle-all-container" }, "", [
@@ -50,7 +43,7 @@ function renderMain(visibleTodos) {
                         id: "toggle-all",
                         class: "toggle-all",
                         type: "checkbox",
-                        checked: allCompleted,
+                        checked: state.allCompleted,
                         onchange: handleToggleAll,
                     },
                     "",
@@ -80,9 +73,6 @@ function renderMain(visibleTodos) {
 function renderTodoItem(todo) {
     const state = app.getState();
     const isEditing = state.editingId === todo.id;
-    const classes = [];
-    if (todo.completed) classes.push("completed");
-    if (isEditing) classes.push("editing");
 
     const children = [
         createVirtualElement("div", { class: "view" }, "", [
@@ -123,11 +113,12 @@ function renderTodoItem(todo) {
                 "input",
                 {
                     class: "edit",
-                    value: todo.title,
+                    // The draft survives re-renders, e.g. a todo toggled or synced meanwhile
+                    value: state.editDraft !== null ? state.editDraft : todo.title,
+                    onMount: (element) => focusElement(element, "end"),
+                    oninput: handleEditInput,
                     onkeydown: (e) => handleEditKeydown(e, todo.id),
-                    onblur: () => {
-                        app.setState({ editingId: null, focusEditTodo: null })
-                    },
+                    onblur: handleEditBlur,
                 },
                 "",
                 []
@@ -138,8 +129,9 @@ function renderTodoItem(todo) {
     return createVirtualElement(
         "li",
         {
+            key: todo.id,
             "data-id": todo.id.toString(),
-            class: classes.join(" "),
+            class: { completed: todo.completed, editing: isEditing },
         },
         "",
         children
@@ -151,30 +143,20 @@ function renderFooter() {
     const state = app.getState();
 
     if (!state.todos || state.todos.length === 0) {
-        return createVirtualElement(
-            "footer",
-            { class: "footer", style: "display: none;" },
-            "",
-            []
-        );
+        return null;
     }
 
-    const activeCount = (state.todos || []).filter(
-        (todo) => !todo.completed
-    ).length;
-    const completedCount = (state.todos || []).filter(
-        (todo) => todo.completed
-    ).length;
+    const { activeCount, completedCount } = state;
     const itemText = activeCount === 1 ? "item" : "items";
 
     return createVirtualElement(
         "footer",
-        { class: "footer", style: "display: block;" },
+        { class: "footer" },
         "",
         [
             createVirtualElement("span", { class: "todo-count" }, "", [
                 createVirtualElement("strong", {}, activeCount.toString(), []),
-                createVirtualElement("span", {}, ` ${itemText} left!`, []),
+                ` ${itemText} left!`,
             ]),
             createVirtualElement("ul", { class: "filters" }, "", [
                 renderFilterLink("All", "#/", state.filter === "all"),
@@ -185,39 +167,24 @@ function renderFooter() {
                     state.filter === "completed"
                 ),
             ]),
-            completedCount > 0
-                ? createVirtualElement(
+            completedCount > 0 &&
+                createVirtualElement(
                     "button",
                     {
                         class: "clear-completed",
-                        style: "display: block;",
                         onclick: clearCompletedTodos,
                     },
                     "Clear completed",
                     []
-                )
-                : createVirtualElement(
-                    "button",
-                    {
-                        class: "clear-completed",
-                        style: "display: none;",
-                    },
-                    "",
-                    []
                 ),
-        ].filter(Boolean)
+        ]
     );
 }
 
 // Helper function to render filter navigation links
 function renderFilterLink(text, href, isSelected) {
-    const linkAttributes = { href: href };
-    if (isSelected) {
-        linkAttributes.class = "selected";
-    }
-
     return createVirtualElement("li", {}, "", [
-        createVirtualElement("a", linkAttributes, text, []),
+        createVirtualElement("a", { href: href, class: { selected: isSelected } }, text, []),
     ]);
 }
 
@@ -291,11 +258,11 @@ function renderInfo() {
     return createVirtualElement("footer", { class: "info" }, "", [
         createVirtualElement("p", {}, "Double-click to edit a todo", []),
         createVirtualElement("p", {}, "", [
-            createVirtualElement("span", {}, "Created by ", []),
+            "Created by ",
             createVirtualElement("a", { href: "#" }, "The Last of the Mohicans 2", []),
         ]),
         createVirtualElement("p", {}, "", [
-            createVirtualElement("span", {}, "Part of ", []),
+            "Part of ",
             createVirtualElement("a", { href: "http://todomvc.com" }, "TodoMVC", []),
         ]),
     ]);
@@ -1,63 +1,38 @@
-
-// TodoApp application implementation using the mini-framework.
-// This file contains the complete TodoApp application with state management,
-// routing, and virtual DOM rendering.
-
-import { createVirtualElement, focusElement } from "../Framework/VDom.js";
-import { createApp } from "../Framework/App.js";
-import { renderHeader, renderMain, renderFooter, renderSidebar, renderInfo } from "./Render.js";
-import { getFilteredTodos } from "./Utils.js";
-
-
-// Main application instance
-const app = createApp("body");
-
-// Initialize TodoMVC application state
-app.setState({
-    todos: [],
-    filter: "all",
-    nextId: 1,
-    editingId: null,
-    focusEditTodo: null,
-});
-
-/**
- * Todo item type definition
- * @typedef {Object} Todo
- * @property {number} id - Unique identifier for the todo
- * @property {string} title - The todo text content
- * @property {boolean} completed - Whether the todo is completed
- */
-
-// Set up application routing with filter handlers
-app
-    .addRoute("/", () => setFilter("all"))
-    .addRoute("/active", () => setFilter("active"))
-    .addRoute("/completed", () => setFilter("completed"));
-
-// Sets the current todo filter and updates application state
-function setFilter(filter) {
-    app.setState({ filter: filter });
+// Browser entry point of the TodoApp: restores saved todos, keeps open tabs in
+// sync, installs the undo shortcuts and renders into the page.
+// The app itself is defined in TodoApp.js.
+
+import { app, setFilter, openTodo, renderApp } from "./TodoApp.js";
+
+// Todos survive reloads; editing, filter and route state are rebuilt on start
+app.persist({ key: "todos-mini-framework", keys: ["todos", "nextId"] });
+
+// Other open tabs see the same todos
+app.syncTabs({ channel: "todos-mini-framework", keys: ["todos", "nextId"] });
+
+// Undoes with Ctrl+Z and redoes with Ctrl+Shift+Z (or Ctrl+Y), unless the
+// user is typing in a text field, where the browser's own undo applies
+function handleUndoKeydown(event) {
+    if (!(event.ctrlKey || event.metaKey)) {
+        return;
+    }
+    const target = event.target;
+    if (target && (target.tagName === "INPUT" || target.tagName === "TEXTAREA") && target.value) {
+        return;
+    }
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        app.undo();
+    } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        app.redo();
+    }
 }
 
-// Main application render function that returns the complete UI structure
-function renderApp() {
-    const state = app.getState();
-    const visibleTodos = getFilteredTodos(state.todos, state.filter);
-
-    return [
-        createVirtualElement("aside", { class: "learn" }, "", renderSidebar()),
-        createVirtualElement("section", { class: "todoapp" }, "", [
-            renderHeader(),
-            renderMain(visibleTodos),
-            renderFooter(),
-        ]),
-        renderInfo(),
-    ];
-}
+document.addEventListener("keydown", handleUndoKeydown);
 
-// Initialize and start the application
-// Sets the render function and initializes the app with routing
-app.setRenderFunction(renderApp).init();
+// Initialize and start the application with routing
+app.init();
 
-export { app, setFilter, renderApp };
\ No newline at end of file
+export { app, setFilter, openTodo, renderApp };
@@ -0,0 +1,121 @@
+
+// TodoApp application definition using the mini-framework.
+// This file sets up the app's state, schema, actions, routes and render
+// function without touching the browser, so the TodoApp can be imported and
+// rendered to HTML in Node. StartApp.js starts it in the browser.
+
+import { createVirtualElement } from "../Framework/VDom.js";
+import { createApp } from "../Framework/App.js";
+import { renderHeader, renderMain, renderFooter, renderSidebar, renderInfo } from "./Render.js";
+import { getFilteredTodos, startEdit, confirmDiscardEdit } from "./Utils.js";
+import { registerReducers } from "./Reducers.js";
+
+
+// Main application instance
+const app = createApp("body", { delegateEvents: true });
+
+// Initialize TodoMVC application state
+app.setState({
+    todos: [],
+    filter: "all",
+    nextId: 1,
+    editingId: null,
+    focusEditTodo: null,
+    editDraft: null,
+});
+
+/**
+ * Todo item type definition
+ * @typedef {Object} Todo
+ * @property {number} id - Unique identifier for the todo
+ * @property {string} title - The todo text content
+ * @property {boolean} completed - Whether the todo is completed
+ */
+
+// Schema of a Todo, checked for every todo that enters the state
+const todoSchema = {
+    type: "object",
+    properties: {
+        id: { type: "number", required: true },
+        title: { type: "string", required: true },
+        completed: { type: "boolean", required: true },
+    },
+};
+
+// Reject state updates that do not match the shape above
+app.setSchema({
+    todos: { type: "array", required: true, items: todoSchema },
+    filter: { type: "string", required: true, enum: ["all", "active", "completed"] },
+    nextId: { type: "number", required: true },
+    editingId: { type: ["number", "null"] },
+    focusEditTodo: { type: ["number", "null"] },
+    editDraft: { type: ["string", "null"] },
+});
+
+// Every state change goes through a named action
+registerReducers(app);
+
+// Undo/redo covers the todos only; editing, filter and route state follow the UI
+app.enableHistory({ include: ["todos", "nextId"] });
+
+// Derived values, recomputed only when the todos or the filter change
+app
+    .defineComputed("visibleTodos", ["todos", "filter"], getFilteredTodos)
+    .defineComputed("activeCount", ["todos"], (todos) =>
+        todos.filter((todo) => !todo.completed).length
+    )
+    .defineComputed("completedCount", ["todos", "activeCount"], (todos, activeCount) =>
+        todos.length - activeCount
+    )
+    .defineComputed("allCompleted", ["todos", "activeCount"], (todos, activeCount) =>
+        todos.length > 0 && activeCount === 0
+    );
+
+// Ask before navigating away from an edit with unsaved changes, whether it
+// was started by double-clicking or by a /todo/:id link
+const editGuard = { beforeLeave: confirmDiscardEdit };
+
+// Set up application routing with filter handlers
+app
+    .addRoute("/", () => setFilter("all"), editGuard)
+    .addRoute("/active", () => setFilter("active"), editGuard)
+    .addRoute("/completed", () => setFilter("completed"), editGuard)
+    .addRoute("/todo/:id", ({ params }) => openTodo(Number(params.id)), editGuard)
+    .addRedirect("/all", "/")
+    .addDefaultRoute(({ path }) => {
+        console.warn(`No route for "${path}", showing all todos`);
+        setFilter("all");
+    });
+
+// Sets the current todo filter and updates application state
+function setFilter(filter) {
+    app.dispatch({ type: "filter/set", filter: filter });
+}
+
+// Shows all todos and starts editing the one linked to, if it exists
+function openTodo(id) {
+    setFilter("all");
+    if ((app.getState().todos || []).some((todo) => todo.id === id)) {
+        startEdit(id);
+    }
+}
+
+// Main application render function that returns the complete UI structure
+function renderApp() {
+    const state = app.getState();
+
+    return [
+        createVirtualElement("aside", { class: "learn" }, "", renderSidebar()),
+        createVirtualElement("section", { class: "todoapp" }, "", [
+            renderHeader(),
+            renderMain(state.visibleTodos),
+            renderFooter(),
+        ]),
+        renderInfo(),
+    ];
+}
+
+// The app renders through renderApp once StartApp.js initializes it
+app.setRenderFunction(renderApp);
+
+export { app, setFilter, openTodo, renderApp };
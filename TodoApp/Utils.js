@@ -1,14 +1,10 @@
-import { app } from "./StartApp.js";
-import { focusElement } from "../Framework/VDom.js";
+import { app } from "./TodoApp.js";
 
 // Handles keydown for new todo input; adds todo on Enter if valid
 function handleNewTodoKeydown(event) {
     if (event.key === "Enter" && event.target.value.trim()) {
         if (addTodo(event.target.value.trim())) {
             event.target.value = "";
-            setTimeout(() => {
-                focusElement(".new-todo");
-            }, 0);
         }
     }
 }
@@ -24,10 +20,7 @@ function handleEditKeydown(event, todoId) {
         updateTodoTitle(todoId, event.target.value);
     }
     if (event.key === "Escape") {
-        app.setState({
-            editingId: null,
-            focusEditTodo: null,
-        });
+        cancelEdit();
     }
 }
 
@@ -48,31 +41,16 @@ function addTodo(title) {
     if (title.length < 2) {
         return false;
     }
-    const currentState = app.getState();
-    const newTodo = {
-        id: currentState.nextId,
-        title: title,
-        completed: false,
-    };
-
-    app.setState({
-        todos: [...currentState.todos, newTodo],
-        nextId: currentState.nextId + 1,
-    });
+    app.dispatch({ type: "todos/add", title: title });
     return true;
 }
 
 // Toggles completion status of a single todo
 function toggleTodo(id) {
-    const state = app.getState();
-    const updatedTodos = (state.todos || []).map((todo) =>
-        todo.id === id ? { ...todo, completed: !todo.completed } : todo
-    );
-
-    app.setState({ todos: updatedTodos });
+    app.dispatch({ type: "todos/toggle", id: id });
 }
 
-// Updates a todo's title or deletes it if the new title is empty or too short
+// Updates a todo's title if the new title is long enough (min 2 chars)
 function updateTodoTitle(id, newTitle) {
     const trimmedTitle = newTitle.trim();
 
@@ -80,81 +58,75 @@ function updateTodoTitle(id, newTitle) {
         return;
     }
 
-    const state = app.getState();
-    const updatedTodos = (state.todos || []).map((todo) =>
-        todo.id === id ? { ...todo, title: trimmedTitle } : todo
-    );
-
-    app.setState({
-        todos: updatedTodos,
-        editingId: null,
-        focusEditTodo: null,
-    });
+    app.dispatch({ type: "todos/rename", id: id, title: trimmedTitle });
 }
 
 // Removes a todo by id
 function removeTodo(id) {
+    app.dispatch({ type: "todos/remove", id: id });
+}
+
+// Kept for existing callers; editing a todo is the same as updating its title
+const editTodo = updateTodoTitle;
+
+// Sets editing mode for a todo; its input focuses itself on mount
+function startEdit(id) {
+    app.dispatch({ type: "edit/start", id: id });
+}
+
+// Leaves editing mode without saving the title
+function cancelEdit() {
+    app.dispatch({ type: "edit/cancel" });
+}
+
+// Stores the title being typed into the edit input
+function handleEditInput(event) {
+    app.dispatch({ type: "edit/draft", title: event.target.value });
+}
+
+// Returns true if the todo being edited has a title change that was not saved
+function hasUnsavedEdit() {
     const state = app.getState();
-    const updatedTodos = (state.todos || []).filter((todo) => todo.id !== id);
-    app.setState({ todos: updatedTodos });
+    const todo = (state.todos || []).find((todo) => todo.id === state.editingId);
+    return Boolean(todo && state.editDraft !== null && state.editDraft.trim() !== todo.title);
 }
 
-function editTodo(id, newTitle) {
-    const trimmedTitle = newTitle.trim();
-  
-    if (trimmedTitle.length < 2) {
-      return;
+// Leaves editing mode when the edit input loses focus, unless the title was
+// changed; the edit then stays open so navigating away can still ask first
+function handleEditBlur() {
+    if (!hasUnsavedEdit()) {
+        cancelEdit();
     }
-  
-    const state = app.getState();
-    const updatedTodos = (state.todos || []).map((todo) =>
-      todo.id === id ? { ...todo, title: trimmedTitle } : todo
-    );
-  
-    app.setState({
-      todos: updatedTodos,
-      editingId: null,
-      focusEditTodo: null,
-    });
-  }
-
-// Sets editing mode for a todo and focuses its input
-function startEdit(id) {
-    app.setState({
-        editingId: id,
-        focusEditTodo: id,
-    });
+}
 
-    setTimeout(() => {
-        focusElement(".edit", "end");
-    }, 0);
+// Route guard: asks before an unsaved title change is discarded by navigating
+function confirmDiscardEdit() {
+    if (!hasUnsavedEdit()) {
+        return true;
+    }
+    if (!window.confirm("Discard unsaved changes?")) {
+        return false;
+    }
+    cancelEdit();
+    return true;
 }
 
 // Toggles all todos: if all are complete, mark all incomplete; else, mark all complete
 function toggleAllTodos() {
-    const state = app.getState();
-    const allCompleted =
-        (state.todos || []).length > 0 &&
-        (state.todos || []).every((todo) => todo.completed);
-    const updatedTodos = (state.todos || []).map((todo) => ({
-        ...todo,
-        completed: !allCompleted,
-    }));
-
-    app.setState({ todos: updatedTodos });
+    app.dispatch({ type: "todos/toggleAll" });
 }
 
 // Removes all completed todos
 function clearCompletedTodos() {
-    const state = app.getState();
-    const activeTodos = (state.todos || []).filter((todo) => !todo.completed);
-    app.setState({ todos: activeTodos });
+    app.dispatch({ type: "todos/clearCompleted" });
 }
 
 export {
     handleNewTodoKeydown,
     handleToggleAll,
     handleEditKeydown,
+    handleEditBlur,
+    handleEditInput,
     getFilteredTodos,
     addTodo,
     toggleTodo,
@@ -162,6 +134,9 @@ export {
     removeTodo,
     editTodo,
     startEdit,
+    cancelEdit,
+    hasUnsavedEdit,
+    confirmDiscardEdit,
     toggleAllTodos,
     clearCompletedTodos,
 }
\ No newline at end of file